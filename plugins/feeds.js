@@ -0,0 +1,109 @@
+// Sitemap and feeds for the built site. Pure string builders: the same
+// input always gives the same output, no build dates, so they snapshot well.
+
+const escapeXml = value =>
+  String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+
+const absolute = (path, origin) => (/^https?:\/\//.test(path) ? path : `${origin}${path}`);
+
+const projectPath = project => `/Project/${project.id}`;
+const byId = projects => [...projects].sort((a, b) => a.id - b.id);
+
+/**
+ * @param {Object} site
+ * @param {string} site.origin - https://example.com, no trailing slash
+ * @param {Array<{ path: string, alternates: Array<{ hreflang: string, path: string }> }>} site.pages
+ */
+export const renderSitemap = ({ origin, pages }) => {
+  const urls = pages.map(({ path, alternates }) =>
+    [
+      "  <url>",
+      `    <loc>${escapeXml(absolute(path, origin))}</loc>`,
+      ...alternates.map(
+        ({ hreflang, path: href }) =>
+          `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(absolute(href, origin))}" />`
+      ),
+      "  </url>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    "</urlset>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * JSON Feed 1.1 of every project. Client, year and stack are also kept
+ * as-is under the `_enzari` extension.
+ *
+ * @param {Object} site
+ * @param {string} site.origin
+ * @param {string} site.title
+ * @param {string} site.description
+ * @param {Object[]} site.projects - projectData
+ */
+export const renderJsonFeed = ({ origin, title, description, projects }) =>
+  `${JSON.stringify(
+    {
+      version: "https://jsonfeed.org/version/1.1",
+      title,
+      description,
+      home_page_url: absolute("/", origin),
+      feed_url: absolute("/feed.json", origin),
+      items: byId(projects).map(project => ({
+        id: absolute(projectPath(project), origin),
+        url: absolute(projectPath(project), origin),
+        title: project.title,
+        summary: `${project.client}, ${project.year}`,
+        content_text: project.excerpt,
+        image: absolute(project.poster, origin),
+        tags: project.stack,
+        _enzari: { year: project.year, client: project.client, stack: project.stack },
+      })),
+    },
+    null,
+    2
+  )}\n`;
+
+/**
+ * RSS 2.0 of every project, the poster as media:content and client, year
+ * and stack as categories.
+ *
+ * @param {Object} site - Same as renderJsonFeed
+ */
+export const renderRss = ({ origin, title, description, projects }) => {
+  const items = byId(projects).map(project => {
+    const url = escapeXml(absolute(projectPath(project), origin));
+
+    return [
+      "    <item>",
+      `      <title>${escapeXml(project.title)}</title>`,
+      `      <link>${url}</link>`,
+      `      <guid isPermaLink="true">${url}</guid>`,
+      `      <description>${escapeXml(project.excerpt)}</description>`,
+      `      <category domain="client">${escapeXml(project.client)}</category>`,
+      `      <category domain="year">${escapeXml(project.year)}</category>`,
+      ...project.stack.map(item => `      <category domain="stack">${escapeXml(item)}</category>`),
+      `      <media:content url="${escapeXml(absolute(project.poster, origin))}" medium="image" />`,
+      "    </item>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+    "  <channel>",
+    `    <title>${escapeXml(title)}</title>`,
+    `    <link>${escapeXml(absolute("/", origin))}</link>`,
+    `    <description>${escapeXml(description)}</description>`,
+    `    <atom:link href="${escapeXml(absolute("/rss.xml", origin))}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    "  </channel>",
+    "</rss>",
+    "",
+  ].join("\n");
+};
@@ -0,0 +1,60 @@
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { basename, extname, join } from "path";
+import sharp from "sharp";
+
+// Widths generated for every image, capped at its own width
+export const WIDTHS = [480, 960, 1440, 1920];
+export const FORMATS = ["avif", "webp"];
+
+const PLACEHOLDER_WIDTH = 24;
+
+export const isImage = src => /\.(webp|avif|png|jpe?g)$/i.test(src);
+
+/**
+ * Encode every width / format variant of a public/ image into `cacheDir`
+ * (skipped when the source hasn't changed) and return its manifest entry.
+ *
+ * @returns {Promise<{ width: number, height: number, placeholder: string, variants: Object<string, Array<{ width: number, file: string }>> }>}
+ */
+export const generateImage = async (src, publicDir, cacheDir) => {
+  const source = readFileSync(join(publicDir, src));
+  const hash = createHash("sha1").update(source).digest("hex").slice(0, 10);
+  const name = basename(src, extname(src));
+
+  mkdirSync(cacheDir, { recursive: true });
+
+  const image = sharp(source);
+  const { width, height } = await image.metadata();
+  const widths = [...new Set(WIDTHS.map(size => Math.min(size, width)))];
+
+  const variants = {};
+  for (const format of FORMATS) {
+    variants[format] = [];
+
+    for (const size of widths) {
+      const file = `${name}-${hash}-${size}.${format}`;
+      const path = join(cacheDir, file);
+
+      if (!existsSync(path)) {
+        const output = await image
+          .clone()
+          .resize(size)
+          .toFormat(format, { quality: format === "avif" ? 55 : 75, effort: 4 })
+          .toBuffer();
+        writeFileSync(path, output);
+      }
+
+      variants[format].push({ width: size, file });
+    }
+  }
+
+  const placeholder = await image.clone().resize(PLACEHOLDER_WIDTH).webp({ quality: 40 }).toBuffer();
+
+  return {
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${placeholder.toString("base64")}`,
+    variants,
+  };
+};
@@ -0,0 +1,103 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, join, resolve } from "path";
+import { createServer, loadEnv } from "vite";
+import { renderJsonFeed, renderRss, renderSitemap } from "./feeds.js";
+
+const escape = value => String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+const renderTag = ([tag, attributes]) =>
+  `<${tag} ${Object.entries({ ...attributes, "data-meta": "" })
+    .map(([name, value]) => (value === "" ? name : `${name}="${escape(value)}"`))
+    .join(" ")} />`;
+
+// The built index.html with a page's title, head tags and a text fallback
+const renderPage = (template, { title, description, locale, tags }) =>
+  template
+    .replace(/<html lang="[^"]*">/, `<html lang="${locale}">`)
+    .replace(/<title>.*?<\/title>/, `<title>${escape(title)}</title>\n  ${tags.map(renderTag).join("\n  ")}`)
+    .replace(
+      '<div id="root"></div>',
+      `<div id="root"></div>\n  <noscript>\n    <h1>${escape(title)}</h1>\n    <p>${escape(description)}</p>\n  </noscript>`
+    );
+
+/**
+ * After the client build, writes one HTML file per known URL (every page,
+ * every project, in every locale) with its own title, description,
+ * canonical and OpenGraph / Twitter tags, so link previews and crawlers
+ * don't all see the home page. The app still boots from the same bundle.
+ * sitemap.xml, feed.json, rss.xml and robots.txt are written next to them,
+ * see plugins/feeds.js.
+ *
+ * Metadata comes from src/Util/Meta.jsx, the module pages use at runtime,
+ * loaded through Vite so it can read the registry, catalogues and projects.
+ * Absolute URLs use VITE_SITE_URL, or Netlify's URL. Without either (local
+ * and fork builds) nothing is prerendered, the app sets its tags at runtime.
+ */
+export default function prerender() {
+  let config;
+  let origin;
+
+  return {
+    name: "enzari-prerender",
+    apply: "build",
+
+    configResolved(resolved) {
+      config = resolved;
+      const env = loadEnv(config.mode, config.envDir || config.root, "VITE_");
+      origin = (env.VITE_SITE_URL || process.env.URL || "").replace(/\/$/, "");
+    },
+
+    buildStart() {
+      // Crawlers and link previews need absolute canonical, OpenGraph, sitemap and feed URLs
+      if (!config.build.ssr && !origin) {
+        config.logger.warn("prerender: VITE_SITE_URL isn't set, skipping prerendered pages, sitemap and feeds");
+      }
+    },
+
+    async closeBundle() {
+      // SSR builds (and this plugin's own server) have nothing to prerender
+      if (config.build.ssr) return;
+
+      const outDir = resolve(config.root, config.build.outDir);
+      // No origin to build URLs from, or no index.html because the build failed and its error should stay on screen
+      if (!origin || !existsSync(join(outDir, "index.html"))) return;
+
+      const template = readFileSync(join(outDir, "index.html"), "utf8");
+
+      const server = await createServer({
+        root: config.root,
+        mode: config.mode,
+        configFile: config.configFile,
+        logLevel: "error",
+        appType: "custom",
+        server: { middlewareMode: true, hmr: false },
+      });
+
+      try {
+        const { alternatePaths, prerenderPaths, resolveMeta } = await server.ssrLoadModule("/src/Util/Meta.jsx");
+        const { projectData } = await server.ssrLoadModule("/src/Data/ProjectData.jsx");
+        const paths = prerenderPaths();
+
+        paths.forEach(path => {
+          const file = join(outDir, path === "/" ? "" : path, "index.html");
+          mkdirSync(dirname(file), { recursive: true });
+          writeFileSync(file, renderPage(template, resolveMeta(path, {}, origin)));
+        });
+
+        // Feeds are in the default locale, like the site root
+        const { title, description } = resolveMeta("/", {}, origin);
+        const site = { origin, title, description, projects: projectData };
+        const pages = paths.map(path => ({ path, alternates: alternatePaths(path) }));
+
+        writeFileSync(join(outDir, "sitemap.xml"), renderSitemap({ origin, pages }));
+        writeFileSync(join(outDir, "feed.json"), renderJsonFeed(site));
+        writeFileSync(join(outDir, "rss.xml"), renderRss(site));
+        writeFileSync(join(outDir, "robots.txt"), `User-agent: *\nAllow: /\n\nSitemap: ${origin}/sitemap.xml\n`);
+
+        config.logger.info(`prerendered ${paths.length} pages, sitemap and feeds`);
+      } finally {
+        await server.close();
+      }
+    },
+  };
+}
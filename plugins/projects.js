@@ -0,0 +1,387 @@
+import { existsSync, readdirSync, readFileSync } from "fs";
+import { extname, join, relative, resolve } from "path";
+import { loadEnv } from "vite";
+import matter from "gray-matter";
+import { marked } from "marked";
+import { FORMATS, generateImage, isImage } from "./images.js";
+import { sealVault } from "./vault.js";
+
+const VIRTUAL_ID = "virtual:projects";
+const RESOLVED_ID = `\0${VIRTUAL_ID}`;
+const IMAGES_ID = "virtual:project-images";
+const RESOLVED_IMAGES_ID = `\0${IMAGES_ID}`;
+const IMAGES_URL = "/__images/";
+
+// Front-matter every project needs, by the kind of value expected
+const schema = {
+  id: "number",
+  title: "text",
+  client: "text",
+  year: "text",
+  role: "list",
+  stack: "list",
+  image: "media",
+  poster: "media",
+  gallery: "media list",
+};
+
+// Case-study blocks, by type: the fields each one takes, "?" when optional
+const blockSchema = {
+  text: { heading: "text?", body: "text" },
+  media: { src: "media", caption: "text?", bleed: "boolean?" },
+  pair: { items: "media pair", caption: "text?" },
+  quote: { text: "text", cite: "text?" },
+  stats: { items: "stats" },
+  stack: { heading: "text?", items: "list" },
+  embed: { src: "url", title: "text", aspect: "ratio?" },
+};
+
+// Fields a project can translate, the rest is shared by every locale
+const translatable = { title: "text", client: "text", detail: "text" };
+const LOCALE = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+const isText = value => (typeof value === "string" && value.trim() !== "") || typeof value === "number";
+const isList = value => Array.isArray(value) && value.length > 0 && value.every(isText);
+const isRemote = src => /^(https?:)?\/\//.test(src);
+const isRatio = value => /^\d+(\.\d+)?\s*[/:]\s*\d+(\.\d+)?$/.test(String(value));
+
+// Images in blocks get responsive variants like the gallery
+const blockMedia = blocks => blocks.flatMap(block => (block.type === "media" ? [block.src] : block.type === "pair" ? block.items : []));
+
+// ||text|| in the body, or a whole ||/gallery/path||, is redacted
+const REDACTION = /\|\|(.+?)\|\|/g;
+const redactedPath = src => (typeof src === "string" && src.match(/^\|\|(.+)\|\|$/)?.[1]) || null;
+const unwrap = src => redactedPath(src) || src;
+
+// Bars come in a few widths, an exact one would give away each secret's length
+const redactedWidth = secret => Math.min(Math.ceil(secret.length / 8), 4) * 8;
+
+const redactedSpan = (index, secret) =>
+  `<span class="redacted" data-redacted="${index}" style="--chars: ${redactedWidth(secret)}"><span class="redacted-bar"></span><span class="sr-only">redacted</span></span>`;
+
+// Plain text of the rendered body, for meta descriptions
+const toExcerpt = html =>
+  html
+    .replace(/<span class="redacted"[^>]*>.*?<\/span><\/span>/g, "[redacted]")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&#39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, "&")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// External links in the copy open in a new tab, like SiteLink
+const renderDetail = markdown =>
+  marked.parse(markdown.trim()).replace(/<a href="(https?:[^"]+)"/g, '<a href="$1" target="_blank" rel="noopener noreferrer"');
+
+const readProject = file => {
+  const source = readFileSync(file, "utf8");
+
+  if (extname(file) === ".json") {
+    const { detail = "", ...data } = JSON.parse(source);
+    return { data, detail };
+  }
+
+  const { data, content } = matter(source);
+  return { data, detail: content };
+};
+
+const validate = (data, publicDir) => {
+  const errors = [];
+
+  const checkMedia = (field, src) => {
+    if (!isText(src)) return errors.push(`"${field}" must be a path`);
+    src = unwrap(src);
+    if (!isRemote(src) && !existsSync(join(publicDir, src))) errors.push(`"${field}" points to ${src}, which is not in public/`);
+  };
+
+  const checkValue = (field, kind, value) => {
+    if (kind.endsWith("?")) {
+      if (value === undefined || value === null) return;
+      kind = kind.slice(0, -1);
+    } else if (value === undefined || value === null || value === "") return errors.push(`"${field}" is required`);
+
+    if (kind === "number" && !Number.isInteger(value)) errors.push(`"${field}" must be a whole number`);
+    if (kind === "text" && !isText(value)) errors.push(`"${field}" must be text`);
+    if (kind === "boolean" && typeof value !== "boolean") errors.push(`"${field}" must be true or false`);
+    if (kind === "list" && !isList(value)) errors.push(`"${field}" must be a list of text`);
+    if (kind === "url" && !(typeof value === "string" && /^https:\/\//.test(value))) errors.push(`"${field}" must be an https:// URL`);
+    if (kind === "ratio" && !isRatio(value)) errors.push(`"${field}" must be a ratio like 16/9`);
+    if (kind === "media") checkMedia(field, value);
+    if (kind === "media list") {
+      if (!Array.isArray(value) || !value.length) errors.push(`"${field}" must be a list of paths`);
+      else value.forEach((src, index) => checkMedia(`${field}[${index}]`, src));
+    }
+    if (kind === "media pair") {
+      if (!Array.isArray(value) || value.length !== 2) errors.push(`"${field}" must be a list of two paths`);
+      else value.forEach((src, index) => checkMedia(`${field}[${index}]`, src));
+    }
+    if (kind === "stats") {
+      if (!Array.isArray(value) || !value.length) errors.push(`"${field}" must be a list of { value, label }`);
+      else value.forEach((stat, index) => ["value", "label"].forEach(key => checkValue(`${field}[${index}].${key}`, "text", stat?.[key])));
+    }
+  };
+
+  Object.entries(schema).forEach(([field, kind]) => checkValue(field, kind, data[field]));
+
+  // Rendered as a link, so only a web address or "#" for a private build
+  if (data.url !== undefined && !(typeof data.url === "string" && (/^https?:\/\//.test(data.url) || data.url === "#"))) {
+    errors.push(`"url" must be an http(s):// URL, or "#" when the site isn't public`);
+  }
+  checkValue("confidential", "boolean?", data.confidential);
+  if (redactedPath(data.image) || redactedPath(data.poster)) errors.push(`"image" and "poster" can't be redacted`);
+
+  if (data.blocks !== undefined) {
+    if (!Array.isArray(data.blocks)) return [...errors, `"blocks" must be a list`];
+
+    data.blocks.forEach((block, index) => {
+      const fields = blockSchema[block?.type];
+      if (!fields) return errors.push(`"blocks[${index}].type" must be one of ${Object.keys(blockSchema).join(", ")}`);
+
+      Object.entries(fields).forEach(([field, kind]) => checkValue(`blocks[${index}].${field}`, kind, block[field]));
+      Object.keys(block)
+        .filter(field => field !== "type" && !fields[field])
+        .forEach(field => errors.push(`"blocks[${index}].${field}" isn't a field of ${block.type} blocks`));
+    });
+
+    // Blocks ship as they are, secrets belong in the body
+    if (JSON.stringify(data.blocks).match(REDACTION)) errors.push(`"blocks" can't hold ||redactions||, keep them in the body`);
+  }
+
+  if (data.translations !== undefined) {
+    if (!data.translations || typeof data.translations !== "object" || Array.isArray(data.translations)) {
+      return [...errors, `"translations" must map locales to fields, like fr: { title, detail }`];
+    }
+
+    Object.entries(data.translations).forEach(([locale, fields]) => {
+      if (!LOCALE.test(locale)) return errors.push(`"translations.${locale}" isn't a locale code like fr or pt-BR`);
+      if (!fields || typeof fields !== "object") return errors.push(`"translations.${locale}" must hold fields`);
+
+      Object.entries(fields).forEach(([field, value]) => {
+        if (!translatable[field])
+          return errors.push(`"translations.${locale}.${field}" can't be translated (${Object.keys(translatable).join(", ")} can)`);
+        checkValue(`translations.${locale}.${field}`, translatable[field], value);
+      });
+    });
+
+    // Translations ship as they are, like blocks
+    if (JSON.stringify(data.translations).match(REDACTION)) errors.push(`"translations" can't hold ||redactions||`);
+  }
+
+  return errors;
+};
+
+// Markdown to HTML, ratios to CSS aspect-ratio values
+const renderBlock = block => {
+  if (block.type === "text") return { ...block, heading: block.heading && String(block.heading), body: renderDetail(String(block.body)) };
+  if (block.type === "embed") return { ...block, aspect: String(block.aspect || "16/9").replace(/\s*[/:]\s*/, " / ") };
+  if (block.type === "stats")
+    return { ...block, items: block.items.map(({ value, label }) => ({ value: String(value), label: String(label) })) };
+  return block;
+};
+
+// Translated Markdown rendered like the body. Missing fields fall back to English in the client
+const renderTranslations = (translations = {}) =>
+  Object.fromEntries(
+    Object.entries(translations).map(([locale, { detail, ...fields }]) => {
+      if (detail === undefined) return [locale, fields];
+
+      const html = renderDetail(String(detail));
+      return [locale, { ...fields, detail: html, excerpt: toExcerpt(html) }];
+    })
+  );
+
+/**
+ * Swap redacted spans and gallery items for placeholders. What they hide only
+ * ships sealed in `vault`, and only when a passphrase is configured.
+ */
+const redact = (data, markdown, passphrase) => {
+  const secrets = { spans: [], gallery: {} };
+
+  const body = markdown.replace(REDACTION, (match, secret) => {
+    secrets.spans.push(marked.parseInline(secret));
+    return redactedSpan(secrets.spans.length - 1, secret);
+  });
+
+  const gallery = data.gallery.map((src, index) => {
+    const secret = redactedPath(src);
+    if (!secret) return src;
+
+    secrets.gallery[index] = secret;
+    return null;
+  });
+
+  return { body, gallery, vault: passphrase ? sealVault(secrets, passphrase) : null };
+};
+
+/**
+ * Read and validate every project file in `dir`.
+ * Returns the projects sorted by id, or throws one error listing every problem.
+ *
+ * @param {string} dir - Folder of .md (front-matter + Markdown body) and .json files
+ * @param {string} publicDir - Where image, poster and gallery paths must exist
+ * @param {Object} [options]
+ * @param {string} [options.passphrase] - Seals redacted content so it can be unlocked
+ */
+export const loadProjects = (dir, publicDir, { passphrase } = {}) => {
+  const files = readdirSync(dir)
+    .filter(name => [".md", ".json"].includes(extname(name)))
+    .map(name => join(dir, name));
+
+  const problems = [];
+  const seen = new Map();
+  const projects = [];
+
+  files.forEach(file => {
+    const name = relative(process.cwd(), file);
+    let project;
+
+    try {
+      project = readProject(file);
+    } catch (error) {
+      return problems.push(`${name}: could not be parsed (${error.message})`);
+    }
+
+    const { data, detail } = project;
+    const errors = validate(data, publicDir);
+    errors.forEach(error => problems.push(`${name}: ${error}`));
+
+    if (seen.has(data.id)) problems.push(`${name}: id ${data.id} is already used by ${seen.get(data.id)}`);
+    seen.set(data.id, name);
+
+    const hasRedactions = Boolean(detail.match(REDACTION)) || (Array.isArray(data.gallery) && data.gallery.some(redactedPath));
+    if (hasRedactions && !data.confidential) problems.push(`${name}: ||redactions|| need "confidential: true"`);
+    if (errors.length) return;
+
+    const { body, gallery, vault } = data.confidential
+      ? redact(data, detail, passphrase)
+      : { body: detail, gallery: data.gallery, vault: null };
+    const html = renderDetail(body);
+
+    projects.push({
+      ...data,
+      confidential: Boolean(data.confidential),
+      year: String(data.year),
+      url: data.url || "#",
+      gallery,
+      detail: html,
+      excerpt: toExcerpt(html),
+      blocks: (data.blocks || []).map(renderBlock),
+      translations: renderTranslations(data.translations),
+      vault,
+    });
+  });
+
+  if (problems.length) {
+    throw new Error(`Invalid project content:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  return projects.sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Serves the project files as `virtual:projects`, and fails the build
+ * (or shows the dev overlay) when one of them is invalid.
+ *
+ * `virtual:project-images` maps every project image to its generated
+ * widths / formats and blur placeholder, see plugins/images.js.
+ * Variants are cached in Vite's cache dir, emitted as assets on build and
+ * served from /__images/ in dev.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir="src/Data/Projects"]
+ */
+export default function projects({ dir = "src/Data/Projects" } = {}) {
+  let contentDir;
+  let publicDir;
+  let imageCacheDir;
+  let isBuild;
+  let passphrase;
+
+  const readAll = context => {
+    try {
+      return loadProjects(contentDir, publicDir, { passphrase });
+    } catch (error) {
+      context.error(error.message);
+    }
+  };
+
+  return {
+    name: "enzari-projects",
+
+    configResolved(config) {
+      contentDir = resolve(config.root, dir);
+      publicDir = config.publicDir;
+      imageCacheDir = join(config.cacheDir, "images");
+      isBuild = config.command === "build";
+      // Server-side only, never exposed to the client like VITE_ variables
+      passphrase = loadEnv(config.mode, config.envDir || config.root, "CONFIDENTIAL_").CONFIDENTIAL_PASSPHRASE;
+    },
+
+    resolveId(id) {
+      if (id === VIRTUAL_ID) return RESOLVED_ID;
+      if (id === IMAGES_ID) return RESOLVED_IMAGES_ID;
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID && id !== RESOLVED_IMAGES_ID) return;
+
+      const projectData = readAll(this);
+      readdirSync(contentDir).forEach(name => this.addWatchFile(join(contentDir, name)));
+
+      if (id === RESOLVED_ID) return `export const projectData = ${JSON.stringify(projectData)};`;
+
+      const sources = [
+        ...new Set(projectData.flatMap(({ image, poster, gallery, blocks }) => [image, poster, ...gallery, ...blockMedia(blocks)])),
+      ].filter(isImage);
+
+      const urlOf = file => {
+        if (!isBuild) return JSON.stringify(IMAGES_URL + file);
+        const ref = this.emitFile({ type: "asset", name: file, source: readFileSync(join(imageCacheDir, file)) });
+        return `import.meta.ROLLUP_FILE_URL_${ref}`;
+      };
+
+      const entries = [];
+      for (const src of sources) {
+        let image;
+        try {
+          image = await generateImage(src, publicDir, imageCacheDir);
+        } catch (error) {
+          this.error(`Could not process ${src}: ${error.message}`);
+        }
+
+        const variants = FORMATS.map(
+          format => `${format}: [${image.variants[format].map(({ width, file }) => `[${width}, ${urlOf(file)}]`).join(", ")}]`
+        );
+        entries.push(
+          `  ${JSON.stringify(src)}: { width: ${image.width}, height: ${image.height}, placeholder: ${JSON.stringify(image.placeholder)}, variants: { ${variants.join(", ")} } }`
+        );
+      }
+
+      return `export default {\n${entries.join(",\n")}\n};`;
+    },
+
+    configureServer(server) {
+      // Reload when a project file is added, edited or removed
+      server.watcher.add(contentDir);
+      server.watcher.on("all", (event, file) => {
+        if (!file.startsWith(contentDir)) return;
+
+        [RESOLVED_ID, RESOLVED_IMAGES_ID].forEach(moduleId => {
+          const module = server.moduleGraph.getModuleById(moduleId);
+          if (module) server.moduleGraph.invalidateModule(module);
+        });
+        server.ws.send({ type: "full-reload" });
+      });
+
+      // Generated image variants
+      server.middlewares.use(IMAGES_URL, (req, res, next) => {
+        const path = join(imageCacheDir, decodeURIComponent(req.url.split("?")[0]).replace(/^\/+/, ""));
+        if (!path.startsWith(imageCacheDir) || !existsSync(path)) return next();
+
+        res.setHeader("Content-Type", `image/${extname(path).slice(1)}`);
+        res.end(readFileSync(path));
+      });
+    },
+  };
+}
@@ -0,0 +1,26 @@
+import { createCipheriv, pbkdf2Sync, randomBytes } from "crypto";
+
+// Must match src/Util/Vault.jsx
+export const ITERATIONS = 150000;
+
+/**
+ * Encrypt a confidential project's secrets with a passphrase.
+ * PBKDF2 gives 64 bytes: the first half is the AES-GCM key, the second half
+ * is the hash the browser compares the typed passphrase against.
+ */
+export const sealVault = (secrets, passphrase) => {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const bits = pbkdf2Sync(passphrase, salt, ITERATIONS, 64, "sha256");
+
+  const cipher = createCipheriv("aes-256-gcm", bits.subarray(0, 32), iv);
+  // WebCrypto expects the auth tag right after the ciphertext
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), "utf8"), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    check: bits.subarray(32).toString("hex"),
+    data: data.toString("base64"),
+  };
+};
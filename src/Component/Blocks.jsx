@@ -0,0 +1,227 @@
+import React, { useEffect, useRef } from "react";
+import gsap from "gsap";
+import { ScrollTrigger } from "gsap/ScrollTrigger";
+import "../Style/Component.scss";
+import TextSplit from "./TextSplit";
+import ResponsiveImage from "./ResponsiveImage";
+import { isVideo } from "./Lightbox";
+
+gsap.registerPlugin(ScrollTrigger);
+
+// Kept outside the render so TextSplit doesn't rebuild its timeline every time
+const headingAnimation = { options: { duration: 0.8, stagger: 0.06, ease: "expo.out" } };
+const splitWords = text => text.split(/( )/);
+
+const prefersReducedMotion = () => window.matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+/**
+ * Plays `animate(tl, element)` once, when the block scrolls into view.
+ * The timeline is reverted with the block.
+ */
+const useEntrance = (ref, animate) => {
+  useEffect(() => {
+    if (prefersReducedMotion()) return;
+
+    const context = gsap.context(() => {
+      const tl = gsap.timeline({ scrollTrigger: { trigger: ref.current, start: "top 80%", once: true } });
+      animate(tl, ref.current);
+    }, ref);
+
+    return () => context.revert();
+  }, []);
+};
+
+const Heading = ({ children }) =>
+  children ? (
+    <TextSplit as='h2' className='block-heading' splitBy={splitWords} hover={false} animateInView animationConfig={headingAnimation}>
+      {children}
+    </TextSplit>
+  ) : null;
+
+const Media = ({ src, alt, sizes }) =>
+  isVideo(src) ? (
+    <video className='block-media' src={src} autoPlay muted loop playsInline aria-label={alt} />
+  ) : (
+    <ResponsiveImage className='block-media' src={src} sizes={sizes} alt={alt} loading='lazy' />
+  );
+
+const TextBlock = ({ heading, body }) => {
+  const ref = useRef(null);
+  useEntrance(ref, tl => tl.from(".block-body > *", { autoAlpha: 0, y: 20, duration: 0.8, stagger: 0.1, ease: "expo.out" }, 0.2));
+
+  return (
+    <div className='block block-text' ref={ref}>
+      <Heading>{heading}</Heading>
+      <div className='block-body' dangerouslySetInnerHTML={{ __html: body }} />
+    </div>
+  );
+};
+
+const MediaBlock = ({ src, caption, bleed, title }) => {
+  const ref = useRef(null);
+  useEntrance(ref, tl =>
+    tl
+      .from(".block-frame", { clipPath: "inset(12% 8% 12% 8%)", duration: 1.4, ease: "expo.out" })
+      .from(".block-media", { scale: 1.2, duration: 1.6, ease: "expo.out" }, 0)
+      .from("figcaption", { autoAlpha: 0, y: 10, duration: 0.6 }, "-=1")
+  );
+
+  return (
+    <figure className={`block block-single${bleed ? " is-bleed" : ""}`} ref={ref}>
+      <div className='block-frame'>
+        <Media src={src} alt={caption || title} sizes={bleed ? "100vw" : "(max-width: 768px) 100vw, 80vw"} />
+      </div>
+      {caption && <figcaption>{caption}</figcaption>}
+    </figure>
+  );
+};
+
+const PairBlock = ({ items, caption, title }) => {
+  const ref = useRef(null);
+  useEntrance(ref, tl =>
+    tl
+      .from(".block-frame", { autoAlpha: 0, y: 60, duration: 1.2, stagger: 0.15, ease: "expo.out" })
+      .from("figcaption", { autoAlpha: 0, y: 10, duration: 0.6 }, "-=0.8")
+  );
+
+  return (
+    <figure className='block block-pair' ref={ref}>
+      {items.map((src, index) => (
+        <div className='block-frame' key={src}>
+          <Media src={src} alt={`${caption || title} ${index + 1}`} sizes='(max-width: 768px) 100vw, 40vw' />
+        </div>
+      ))}
+      {caption && <figcaption>{caption}</figcaption>}
+    </figure>
+  );
+};
+
+const QuoteBlock = ({ text, cite }) => {
+  const ref = useRef(null);
+  useEntrance(ref, tl =>
+    tl
+      .from(ref.current, { "--rule": 0, "duration": 1, "ease": "expo.inOut" })
+      .from("p, cite", { autoAlpha: 0, y: 30, duration: 1, stagger: 0.15, ease: "expo.out" }, 0.3)
+  );
+
+  return (
+    <blockquote className='block block-quote' ref={ref}>
+      <p>{text}</p>
+      {cite && <cite>{cite}</cite>}
+    </blockquote>
+  );
+};
+
+// "120+", "2.4s", "1,200" — the number counts up, whatever is around it stays
+const parseStat = value => {
+  const [, before, number, after] = value.match(/^(\D*?)(\d[\d,]*(?:\.\d+)?)(.*)$/) || [];
+  if (!number) return null;
+
+  const decimals = number.split(".")[1]?.length || 0;
+  const grouped = number.includes(",");
+  const format = n =>
+    grouped ? n.toLocaleString("en-US", { minimumFractionDigits: decimals, maximumFractionDigits: decimals }) : n.toFixed(decimals);
+
+  return { before, after, target: parseFloat(number.replace(/,/g, "")), format };
+};
+
+const StatsBlock = ({ items }) => {
+  const ref = useRef(null);
+  useEntrance(ref, (tl, block) => {
+    tl.from(".block-stat", { autoAlpha: 0, y: 30, duration: 0.8, stagger: 0.1, ease: "expo.out" });
+
+    block.querySelectorAll(".block-stat-value").forEach((el, index) => {
+      const stat = parseStat(items[index].value);
+      if (!stat) return;
+
+      const counter = { value: 0 };
+      tl.to(
+        counter,
+        {
+          value: stat.target,
+          duration: 1.6,
+          ease: "expo.out",
+          onUpdate: () => (el.textContent = `${stat.before}${stat.format(counter.value)}${stat.after}`),
+        },
+        index * 0.1
+      );
+    });
+  });
+
+  return (
+    <dl className='block block-stats' ref={ref}>
+      {items.map(({ value, label }) => (
+        <div className='block-stat' key={label}>
+          <dt>{label}</dt>
+          <dd>
+            <span className='block-stat-value' aria-hidden>
+              {value}
+            </span>
+            <span className='sr-only'>{value}</span>
+          </dd>
+        </div>
+      ))}
+    </dl>
+  );
+};
+
+const StackBlock = ({ heading, items }) => {
+  const ref = useRef(null);
+  useEntrance(ref, tl => tl.from("li", { autoAlpha: 0, x: -20, duration: 0.6, stagger: 0.05, ease: "expo.out" }, 0.2));
+
+  return (
+    <div className='block block-stack' ref={ref}>
+      <Heading>{heading}</Heading>
+      <ul>
+        {items.map(item => (
+          <li key={item}>{item}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Live build in a sandboxed frame, loaded only once it gets close
+const EmbedBlock = ({ src, title, aspect }) => {
+  const ref = useRef(null);
+  useEntrance(ref, tl => tl.from(".block-frame", { autoAlpha: 0, y: 40, scale: 0.96, duration: 1.2, ease: "expo.out" }));
+
+  return (
+    <figure className='block block-embed' ref={ref}>
+      <div className='block-frame' style={{ aspectRatio: aspect }}>
+        <iframe src={src} title={title} loading='lazy' sandbox='allow-scripts allow-same-origin allow-popups' allow='fullscreen' />
+      </div>
+      <figcaption>{title}</figcaption>
+    </figure>
+  );
+};
+
+export const blockComponents = {
+  text: TextBlock,
+  media: MediaBlock,
+  pair: PairBlock,
+  quote: QuoteBlock,
+  stats: StatsBlock,
+  stack: StackBlock,
+  embed: EmbedBlock,
+};
+
+/**
+ * Case-study content under a project, from the `blocks` front-matter
+ * (see plugins/projects.js for the schema). Each block animates itself in
+ * as it scrolls into view.
+ */
+const Blocks = ({ blocks, title }) => {
+  if (!blocks?.length) return null;
+
+  return (
+    <div className='blocks'>
+      {blocks.map((block, index) => {
+        const Block = blockComponents[block.type];
+        return Block ? <Block key={`${block.type}-${index}`} title={title} {...block} /> : null;
+      })}
+    </div>
+  );
+};
+
+export default Blocks;
@@ -2,6 +2,7 @@ import React, { useRef, useEffect, useState } from "react";
 import gsap from "gsap";
 import { useLocation } from "react-router-dom";
 import useIsMobile from "../Util/isMobile";
+import { stripLocale } from "../Util/I18n";
 
 const Cursor = () => {
   const ref = useRef();
@@ -12,7 +13,7 @@ const Cursor = () => {
   // Routes where specific style shouldn't apply
   const excludedRoutes = ["/"];
   useEffect(() => {
-    const isExcluded = excludedRoutes.includes(location.pathname);
+    const isExcluded = excludedRoutes.includes(stripLocale(location.pathname));
     // if (ref.current) return;
     // gsap.set(ref.current, {
     //   xPercent: -50,
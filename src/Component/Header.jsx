@@ -1,8 +1,7 @@
 import React, { useEffect, useRef, useState } from "react";
 import gsap from "gsap";
 import "../Style/Component.scss";
-import { Link } from "react-router-dom";
-import { useSoundEffects } from "./SoundEffects";
+import { useSoundEffects } from "../Util/SoundEffects";
 import {
   animateBars,
   animateHeader,
@@ -16,8 +15,11 @@ import {
   animateNav,
   animateLogoDot,
   animateLogo5,
-} from "./PageAnimations";
+} from "../Util/PageAnimations";
 import Logo from "./Logo";
+import SiteLink from "./SiteLink";
+import { menuRoutes } from "../Routes/Registry";
+import { routeTitle, useI18n } from "../Util/I18n";
 
 const Header = () => {
   const navRef = useRef(null);
@@ -26,6 +28,7 @@ const Header = () => {
   const MenuTlRef = useRef(null);
   const [isOpen, setIsOpen] = useState(false); // To track menu open state
   const { updateProximityRate, setInProximity, currentAmbient } = useSoundEffects();
+  const { locale } = useI18n();
 
   // Toggle menu open state on click
   const toggleMenu = () => {
@@ -184,21 +187,13 @@ const Header = () => {
         <Logo ref={logoRef} />
       </div>
       <ul id='header' className='menu' ref={navRef} onClick={toggleMenu} onMouseEnter={handleHeaderHover} onMouseLeave={handleHeaderLeave}>
-        <li className='menu-item'>
-          <div>
-            <Link to={"/Project/1"}>Project</Link>
-          </div>
-        </li>
-        <li className='menu-item'>
-          <div>
-            <Link to={"/"}>Home</Link>
-          </div>
-        </li>
-        <li className='menu-item'>
-          <div>
-            <Link to={"/About"}>About</Link>
-          </div>
-        </li>
+        {menuRoutes.map(route => (
+          <li className='menu-item' key={route.id}>
+            <div>
+              <SiteLink to={route.path}>{routeTitle(route, locale)}</SiteLink>
+            </div>
+          </li>
+        ))}
       </ul>
     </section>
   );
@@ -0,0 +1,173 @@
+import React, { useEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import gsap from "gsap";
+import { useLenis } from "lenis/react";
+import "../Style/Component.scss";
+import { animateImage } from "../Util/PageAnimations";
+import { preloadAsset } from "../Util/LoadingManager";
+import { useI18n } from "../Util/I18n";
+import ResponsiveImage, { preloadResponsive, responsiveSrc } from "./ResponsiveImage";
+
+export const isVideo = src => /\.(webm|mp4)$/i.test(src);
+
+const SWIPE_DISTANCE = 50;
+const WHEEL_THRESHOLD = 40;
+const WHEEL_COOLDOWN = 600;
+
+const pad = number => String(number).padStart(2, "0");
+
+/**
+ * Fullscreen viewer for a project gallery. Images and videos can be mixed,
+ * videos show the project poster until they can play.
+ * Arrows / swipe / wheel move between items, Escape closes and gives focus back.
+ */
+const Lightbox = ({ items, poster, title, startIndex, onClose }) => {
+  const [current, setCurrent] = useState(startIndex);
+  const lightboxRef = useRef(null);
+  const mediaRef = useRef(null);
+  const closeRef = useRef(null);
+  const swipeRef = useRef(null);
+  const wheelRef = useRef({ delta: 0, last: 0 });
+  const closingRef = useRef(false);
+  const { t } = useI18n();
+  const lenis = useLenis();
+
+  const total = items.length;
+  const src = items[current];
+
+  const go = direction => setCurrent(prev => (prev + direction + total) % total);
+
+  const close = () => {
+    if (closingRef.current) return;
+    closingRef.current = true;
+
+    gsap.to(lightboxRef.current, { autoAlpha: 0, duration: 0.35, ease: "power1.out", onComplete: onClose });
+  };
+
+  // Open: lock the page, take focus, and give it back to the opener on close
+  useEffect(() => {
+    const opener = document.activeElement;
+    lenis?.stop();
+    closeRef.current?.focus();
+
+    gsap.fromTo(lightboxRef.current, { autoAlpha: 0 }, { autoAlpha: 1, duration: 0.35, ease: "power1.out" });
+
+    return () => {
+      lenis?.start();
+      opener?.focus?.();
+    };
+  }, [lenis]);
+
+  // Blur the item in, like the gallery on the page, and warm its neighbours up
+  useEffect(() => {
+    const tl = animateImage({ current: [mediaRef.current] });
+    [current - 1, current + 1].forEach(index => {
+      const item = items[(index + total) % total];
+      if (isVideo(item)) preloadAsset(item);
+      else preloadResponsive(item);
+    });
+
+    return () => tl.kill();
+  }, [current]);
+
+  useEffect(() => {
+    const handleKeyDown = event => {
+      if (event.key === "Escape") close();
+      if (event.key === "ArrowRight") go(1);
+      if (event.key === "ArrowLeft") go(-1);
+
+      // Keep Tab inside the dialog
+      if (event.key === "Tab") {
+        const focusable = lightboxRef.current.querySelectorAll("button, video[controls]");
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (event.shiftKey && document.activeElement === first) {
+          event.preventDefault();
+          last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+          event.preventDefault();
+          first.focus();
+        }
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [total]);
+
+  const handleWheel = event => {
+    const wheel = wheelRef.current;
+    const now = performance.now();
+    if (now - wheel.last < WHEEL_COOLDOWN) return;
+
+    wheel.delta += Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+    if (Math.abs(wheel.delta) < WHEEL_THRESHOLD) return;
+
+    go(Math.sign(wheel.delta));
+    wheel.delta = 0;
+    wheel.last = now;
+  };
+
+  const handlePointerDown = event => {
+    swipeRef.current = { x: event.clientX, y: event.clientY };
+  };
+
+  const handlePointerUp = event => {
+    if (!swipeRef.current) return;
+    const dx = event.clientX - swipeRef.current.x;
+    const dy = event.clientY - swipeRef.current.y;
+    swipeRef.current = null;
+
+    if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) go(dx < 0 ? 1 : -1);
+  };
+
+  return createPortal(
+    <div
+      className='lightbox'
+      ref={lightboxRef}
+      role='dialog'
+      aria-modal='true'
+      aria-label={t("lightbox.label", { title })}
+      data-lenis-prevent
+      onWheel={handleWheel}
+    >
+      <div
+        className='lightbox-stage'
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => (swipeRef.current = null)}
+        onClick={event => event.target === event.currentTarget && close()}
+      >
+        <div className='lightbox-media' ref={mediaRef} key={src}>
+          {isVideo(src) ? (
+            <video className='media-slide' src={src} poster={responsiveSrc(poster, 1440)} autoPlay muted loop playsInline controls />
+          ) : (
+            <ResponsiveImage className='media-slide' src={src} alt={t("work.preview", { title, index: current + 1 })} draggable={false} />
+          )}
+        </div>
+      </div>
+
+      <div className='lightbox-bar'>
+        <span className='lightbox-counter' aria-live='polite'>
+          {pad(current + 1)} / {pad(total)}
+        </span>
+
+        <div className='lightbox-controls'>
+          <button onClick={() => go(-1)} aria-label={t("lightbox.previous")}>
+            ←
+          </button>
+          <button onClick={() => go(1)} aria-label={t("lightbox.next")}>
+            →
+          </button>
+          <button ref={closeRef} onClick={close} aria-label={t("lightbox.close")}>
+            ✕
+          </button>
+        </div>
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+export default Lightbox;
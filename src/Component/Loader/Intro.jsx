@@ -3,24 +3,45 @@ import "../../Style/Component.scss";
 import gsap from "gsap";
 import Logo from "../Logo";
 import useIsMobile from "../../Util/isMobile";
+import { LOADING_TIMEOUT, useLoadingManager } from "../../Util/LoadingManager";
+
+// Fonts the first paint depends on, the loader waits for them too
+const criticalFonts = ["Kufam"];
 
 const Intro = ({ timeline, onComplete }) => {
   const loaderRef = useRef(null);
   const eyeRef = useRef(null);
   const progressNumberRef = useRef(null);
+  const introRef = useRef(null);
+  const counterRef = useRef({ value: 0 });
+  const loadedRef = useRef(false);
   const isMobile = useIsMobile(800);
+  // Reaches 1 once everything tracked has loaded, or on timeout
+  const { progress } = useLoadingManager({ fonts: criticalFonts, timeout: LOADING_TIMEOUT });
 
 
   useEffect(() => {
     const context = gsap.context(() => {
       if (timeline) {
-        timeline.add(progressAnimation(loaderRef, progressNumberRef, eyeRef, onComplete,isMobile), 0);
+        introRef.current = progressAnimation(loaderRef, progressNumberRef, eyeRef, onComplete, isMobile, loadedRef);
+        timeline.add(introRef.current, 0);
       }
     }, loaderRef);
 
     return () => context.revert(); // Cleanup on unmount
   }, [timeline, onComplete]);
 
+  // Counter and dots follow the real loading progress
+  useEffect(() => {
+    const tween = followProgress(progressNumberRef, eyeRef, counterRef.current, progress, () => {
+      loadedRef.current = true;
+      // Release the intro if it is already waiting on us
+      if (introRef.current?.paused()) introRef.current.play();
+    });
+
+    return () => tween.kill();
+  }, [progress]);
+
   return (
     <div className={"loaderWrapper"} ref={loaderRef}>
       <span className={"loaderProgressNumber"} ref={progressNumberRef}>
@@ -35,13 +56,33 @@ const Intro = ({ timeline, onComplete }) => {
 
 export default Intro;
 
-export const progressAnimation = (loaderRef, progressNumberRef, eyeRef, onComplete, isMobile) => {
+// Counter and dot spread for a 0-1 progress value
+export const followProgress = (progressNumberRef, eyeRef, counter, progress, onLoaded) => {
+  const render = () => {
+    if (!progressNumberRef.current || !eyeRef.current) return;
+    progressNumberRef.current.textContent = `${Math.round(counter.value * 100)}%`;
+    gsap.set(eyeRef.current.querySelector("#dot1"), { x: `${(1 - counter.value) * 100}%` });
+    gsap.set(eyeRef.current.querySelector("#dot2"), { x: `${(counter.value - 1) * 100}%` });
+  };
+
+  render();
+  return gsap.to(counter, {
+    value: progress,
+    duration: 1.5,
+    ease: "expo.out",
+    onUpdate: render,
+    onComplete: () => progress >= 1 && onLoaded(),
+  });
+};
+
+export const progressAnimation = (loaderRef, progressNumberRef, eyeRef, onComplete, isMobile, loadedRef) => {
   const tl = gsap.timeline();
  
   gsap.set([progressNumberRef.current, loaderRef.current, eyeRef.current], {
     display: "block",
   });
-  tl.set("#dot1", { y: "200%", x: "100%", transformOrigin: "center" }).set("#dot2", { y: "-200%", x: "-100%", transformOrigin: "center" });
+  // x is driven by followProgress
+  tl.set("#dot1", { y: "200%", transformOrigin: "center" }).set("#dot2", { y: "-200%", transformOrigin: "center" });
   tl.set("#bow1", { y: "-270%", transformOrigin: "center" }).set("#bow2", { y: "270%", transformOrigin: "center" });
 
   tl.fromTo(
@@ -67,18 +108,9 @@ export const progressAnimation = (loaderRef, progressNumberRef, eyeRef, onComple
   // );
   // tl.fromTo(["#dot1", "#dot2"], {scale: 0.5,}, { scale: 1, duration: 0.5, ease: "elastic.Out(.95)" }, "<");
 
-  tl.to("#dot1", { x: "0%", duration: 3, ease: "expo.out" }, "+=0.5").to("#dot2", { x: "0%", duration: 3, ease: "expo.out" }, "<");
+  // Wait here until everything has loaded
+  tl.addPause("+=0.5", () => loadedRef.current && tl.play());
 
-  tl.to(
-    progressNumberRef.current,
-    {
-      textContent: "100%",
-      duration: 3,
-      roundProps: "textContent",
-      ease: "expo.out",
-    },
-    "<"
-  );
   tl.fromTo(
     progressNumberRef.current,
     {
@@ -103,8 +135,6 @@ export const progressAnimation = (loaderRef, progressNumberRef, eyeRef, onComple
     .to("#dot1", { y: "-30%", duration: 1, ease: isMobile?"expo.out":'back.inOut(.95)' }, "<")
     .to("#dot2", { y: "30%", duration: 1, ease: isMobile?"expo.out":'back.inOut(.95)' }, "<")
 
-    .call(onComplete, null, "-=0.25")
-
     .fromTo(
       loaderRef.current,
       {
@@ -134,5 +164,8 @@ export const progressAnimation = (loaderRef, progressNumberRef, eyeRef, onComple
       display: "none",
     });
 
+    // Only now release the route: it unmounts the Suspense fallback, and this intro with it
+    tl.call(onComplete);
+
   return tl;
 };
@@ -1,23 +1,32 @@
-import React, { useState, useLayoutEffect } from "react";
+import React, { useState, useLayoutEffect, useRef, useCallback } from "react";
 import gsap from "gsap";
 import Intro from "./Intro";
+import { holdLoading } from "../../Util/LoadingManager";
 
 const Loader = ({ onComplete }) => {
   const [timeline, setTimeline] = useState(null);
+  const releaseRef = useRef(null);
 
   useLayoutEffect(() => {
+    // Keep the lazy route suspended until the intro has played out
+    releaseRef.current = holdLoading();
+
     const ctx = gsap.context(() => {
       const tl = gsap.timeline({
       });
       setTimeline(tl);
     });
 
-    return () => ctx.revert(); // Cleanup
+    return () => {
+      ctx.revert(); // Cleanup
+      releaseRef.current();
+    };
   }, []);
 
-  const handleComplete = () => {
-    onComplete(); // Notify parent
-  };
+  const handleComplete = useCallback(() => {
+    releaseRef.current?.();
+    onComplete?.(); // Notify parent
+  }, [onComplete]);
 
   return <Intro timeline={timeline} onComplete={handleComplete} />;
 };
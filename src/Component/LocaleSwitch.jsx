@@ -0,0 +1,37 @@
+import React from "react";
+import { Link, useLocation } from "react-router-dom";
+import "../Style/Component.scss";
+import { locales, localizePath, stripLocale, useI18n } from "../Util/I18n";
+
+/**
+ * Same page in every other language. Filters and anchors are kept, and the
+ * page crossfades instead of playing its own transition.
+ */
+const LocaleSwitch = () => {
+  const { pathname, search, hash } = useLocation();
+  const { locale, t } = useI18n();
+  const path = stripLocale(pathname);
+
+  return (
+    <nav className='localeSwitch' aria-label={t("common.language")}>
+      <ul>
+        {Object.entries(locales).map(([code, { name }]) => (
+          <li key={code}>
+            <Link
+              to={{ pathname: localizePath(path, code), search, hash }}
+              state={{ transition: "crossfade" }}
+              lang={code}
+              hrefLang={code}
+              title={name}
+              aria-current={code === locale ? "true" : undefined}
+            >
+              {code}
+            </Link>
+          </li>
+        ))}
+      </ul>
+    </nav>
+  );
+};
+
+export default LocaleSwitch;
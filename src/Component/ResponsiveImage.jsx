@@ -0,0 +1,66 @@
+import React, { forwardRef } from "react";
+import images from "virtual:project-images";
+import "../Style/Component.scss";
+import { preloadAsset } from "../Util/LoadingManager";
+
+const srcSet = variants => variants.map(([width, url]) => `${url} ${width}w`).join(", ");
+
+/**
+ * Closest generated WebP for a target width, for places that need a single
+ * URL (textures, backgrounds, preloads). Falls back to the original file.
+ */
+export const responsiveSrc = (src, width = 1440) => {
+  const variants = images[src]?.variants.webp;
+  if (!variants) return src;
+
+  return (variants.find(([size]) => size >= width) || variants[variants.length - 1])[1];
+};
+
+// src + sizes already preloaded
+const preloaded = new Set();
+
+/**
+ * Warm up the file a <ResponsiveImage> with the same `sizes` will pick: the
+ * browser chooses from the same AVIF srcset, for the screen's width and DPR.
+ * Images the build step doesn't know about are preloaded as they are.
+ */
+export const preloadResponsive = (src, sizes = "100vw") => {
+  const image = images[src];
+  if (!image) return preloadAsset(src);
+
+  const key = `${src} ${sizes}`;
+  if (preloaded.has(key)) return;
+  preloaded.add(key);
+
+  const link = document.createElement("link");
+  Object.assign(link, { rel: "preload", as: "image", type: "image/avif", imageSrcset: srcSet(image.variants.avif), imageSizes: sizes });
+  document.head.appendChild(link);
+};
+
+/**
+ * <img> for project media: AVIF / WebP sources at every generated width and
+ * a blurred placeholder until it loads. Images the build step doesn't know
+ * about render as a plain <img>.
+ */
+const ResponsiveImage = forwardRef(({ src, sizes = "100vw", style, ...props }, ref) => {
+  const image = images[src];
+  if (!image) return <img ref={ref} src={src} style={style} {...props} />;
+
+  return (
+    <picture>
+      <source type='image/avif' srcSet={srcSet(image.variants.avif)} sizes={sizes} />
+      <source type='image/webp' srcSet={srcSet(image.variants.webp)} sizes={sizes} />
+      <img
+        ref={ref}
+        src={responsiveSrc(src, 960)}
+        width={image.width}
+        height={image.height}
+        decoding='async'
+        style={{ background: `url(${image.placeholder}) center / cover no-repeat`, ...style }}
+        {...props}
+      />
+    </picture>
+  );
+});
+
+export default ResponsiveImage;
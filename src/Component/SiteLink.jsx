@@ -0,0 +1,52 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { findRoute } from "../Routes/Registry";
+import { prefetchRoute, preloadAsset } from "../Util/LoadingManager";
+import { useI18n } from "../Util/I18n";
+
+const isExternal = to => typeof to === "string" && /^(https?:)?\/\//.test(to);
+
+/**
+ * Link used for every anchor on the site.
+ * In-app destinations go through the router, stay in the current locale, and
+ * start loading their page chunk and registry assets (plus any extra
+ * `preload`) on hover or focus. External URLs open in a new tab.
+ */
+const SiteLink = ({ to, preload = [], children, onMouseEnter, onFocus, ...props }) => {
+  const { localize } = useI18n();
+
+  if (isExternal(to)) {
+    return (
+      <a href={to} target='_blank' rel='noopener noreferrer' {...props}>
+        {children}
+      </a>
+    );
+  }
+
+  const target = typeof to === "string" ? localize(to) : { ...to, pathname: to.pathname && localize(to.pathname) };
+
+  const prefetch = () => {
+    const route = findRoute(typeof to === "string" ? to.split(/[?#]/)[0] : to.pathname);
+    if (route) prefetchRoute(route);
+    preload.forEach(preloadAsset);
+  };
+
+  return (
+    <Link
+      to={target}
+      onMouseEnter={event => {
+        prefetch();
+        onMouseEnter?.(event);
+      }}
+      onFocus={event => {
+        prefetch();
+        onFocus?.(event);
+      }}
+      {...props}
+    >
+      {children}
+    </Link>
+  );
+};
+
+export default SiteLink;
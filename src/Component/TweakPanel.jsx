@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from "react";
+import "../Style/Component.scss";
+import { mergePreset, useTweakTargets } from "../Util/Tweaks";
+
+// One slider per value, values apply as they change
+const TweakSection = ({ name, target }) => {
+  const [values, setValues] = useState(target.values);
+  const [message, setMessage] = useState("");
+
+  // A new registration (remount, new preset) starts from its own values
+  useEffect(() => {
+    setValues(target.values);
+    setMessage("");
+  }, [target]);
+
+  const update = next => {
+    target.values = next;
+    setValues(next);
+  };
+
+  const set = (group, key, value) => {
+    target.apply(group, key, value);
+    update({ ...values, [group]: { ...values[group], [key]: value } });
+  };
+
+  const load = preset => {
+    const { preset: merged, skipped } = mergePreset(target.initial, preset);
+
+    Object.entries(merged).forEach(([group, groupValues]) =>
+      Object.entries(groupValues).forEach(([key, value]) => target.apply(group, key, value))
+    );
+    update(merged);
+    setMessage(skipped.length ? `Loaded, skipped ${skipped.join(", ")}` : "Loaded");
+  };
+
+  const parse = text => {
+    try {
+      load(JSON.parse(text));
+    } catch {
+      setMessage("That isn't a JSON preset");
+    }
+  };
+
+  // Download the preset and copy it, paste it into a page's `preset` prop or a .json next to it
+  const exportPreset = () => {
+    const json = `${JSON.stringify(values, null, 2)}\n`;
+    const href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = href;
+    link.download = `${name.toLowerCase()}-preset.json`;
+    link.click();
+    // Revoking right away can cancel the download in Safari and older Firefox
+    setTimeout(() => URL.revokeObjectURL(href));
+
+    setMessage("Downloaded");
+    navigator.clipboard?.writeText(json).then(
+      () => setMessage("Downloaded and copied"),
+      () => {}
+    );
+  };
+
+  const importFile = event => {
+    const [file] = event.target.files;
+    event.target.value = "";
+    file?.text().then(parse);
+  };
+
+  const importClipboard = () =>
+    navigator.clipboard?.readText().then(parse, () => setMessage("Clipboard isn't readable here, import a file"));
+
+  return (
+    <section className='tweakSection'>
+      <header>
+        <h2>{name}</h2>
+        <button type='button' onClick={exportPreset}>
+          Export
+        </button>
+        <label className='tweakImport'>
+          Import
+          <input type='file' accept='application/json,.json' onChange={importFile} />
+        </label>
+        <button type='button' onClick={importClipboard}>
+          Paste
+        </button>
+        <button type='button' onClick={() => load({})}>
+          Reset
+        </button>
+      </header>
+
+      {Object.entries(target.controls).map(([group, controls]) => (
+        <fieldset key={group}>
+          <legend>{group}</legend>
+          {Object.entries(controls).map(([key, { min, max, step }]) => (
+            <label key={key} className='tweakControl'>
+              <span>{key}</span>
+              <input
+                type='range'
+                min={min}
+                max={max}
+                step={step}
+                value={values[group][key]}
+                onChange={event => set(group, key, Number(event.target.value))}
+              />
+              <output>{values[group][key]}</output>
+            </label>
+          ))}
+        </fieldset>
+      ))}
+
+      <p role='status'>{message}</p>
+    </section>
+  );
+};
+
+/**
+ * Live controls for whatever on the page registered with useTweaks, only
+ * rendered with ?debug. Developer tool, so not translated.
+ */
+const TweakPanel = () => {
+  const targets = useTweakTargets();
+  const [open, setOpen] = useState(true);
+
+  if (!targets.length) return null;
+
+  return (
+    <aside className='tweakPanel' data-lenis-prevent>
+      <button type='button' className='tweakToggle' aria-expanded={open} onClick={() => setOpen(!open)}>
+        Tweaks
+      </button>
+      {open && targets.map(([name, target]) => <TweakSection key={name} name={name} target={target} />)}
+    </aside>
+  );
+};
+
+export default TweakPanel;
@@ -1,102 +1,3 @@
-export const projectData = [
-  {
-    id: 1,
-    image: "/cobuyr/cb.webp",
-    title: "Cobuyr",
-    detail: (
-      <>
-        <p>A SaaS website that looks sleek enough to slide through customer's doubts.</p>
-        <p>Built with ReactJS, R3F, and WebGL because normalcy is a thing of the past.</p>
-      </>
-    ),
-    role: ["Web Design", "Creative Development", "Data Representation"],
-    stack: ["ReactJS", "R3F", "WebGL"],
-    client: "Cobuyr",
-    year: "2023",
-    url: "https://cobuyr.netlify.app/",
-    gallery: ["/cobuyr/cbLap.webp", "/cobuyr/cbHome.webm", "/cobuyr/cbm.webp", "/cobuyr/cbnode.webp", "/cobuyr/cbWhy.webp"],
-    poster: "/cobuyr/cb.webp",
-  },
-  {
-    id: 2,
-    image: "/mdx/d.webp",
-    title: "MDX*",
-    detail: (
-      <>
-        <p>
-          Top secret. Built for{" "}
-          <em>
-            <b>*confidential*</b>
-          </em>{" "}
-          using{" "}
-          <em>
-            <b>*redacted*</b>
-          </em>{" "}
-          and powered by{" "}
-          <em>
-            <b>*confidential*</b>
-          </em>
-          .
-        </p>
-        <p>Let’s just say we made a digital blood-pact and whoever breaks it becomes a slug. Personally, I think that might be cool.</p>
-      </>
-    ),
-    role: ["Creative Developer"],
-    stack: ["R3F", "WebGL", "ReactJS", "Framer Motion"],
-    client: "MDX",
-    year: "2024",
-    url: "#",
-    gallery: ["/mdx/mdh.webp", "/mdx/mdx.mp4", "/mdx/md.webp", "/mdx/mdin.mp4", "/mdx/mm.webp", "/mdx/mds.webp"],
-    poster: "/mdx/d.webp",
-  },
-  {
-    id: 3,
-    image: "/grumbs/gr.webp",
-    title: "Grumbs",
-    detail: (
-      <>
-        <p>Where bold fashion meets bolder opinions (and yes, we argued a lot).</p>
-        <p>
-          This WebGL-powered e-commerce platform thrives on weirdness and GLSL shaders. <br /> Check out these previous iterations -
-        </p>
-        <ul>
-          <li>
-            <a href='https://grumbslight.netlify.app/' target='_blank' rel='noopener noreferrer'>
-              First Iteration (Unpolished)
-            </a>
-          </li>
-          <li>
-            <a href='https://grumbsstudio.netlify.app/' target='_blank' rel='noopener noreferrer'>
-              Second Iteration
-            </a>
-          </li>
-        </ul>
-        <p>(Also yes, I remade and deployed them outta spite).</p>
-      </>
-    ),
-    role: ["Web Design", "Creative Developer"],
-    stack: ["WebGL", "GLSL Shader", "WordPress"],
-    client: "Grumbs",
-    year: "2024",
-    url: "https://grumbs.ca/",
-    gallery: ["/grumbs/grb.webp", "/grumbs/grumbs.mp4", "/grumbs/gr3.webp", "/grumbs/gr2.webp", "/grumbs/g.mp4"],
-    poster: "/grumbs/gr.webp",
-  },
-  // {
-  //   id: 4,
-  //   image: "https://raw.githubusercontent.com/supahfunk/webgl-carousel/main/public/img/4.jpg",
-  //   title: "Portfolio",
-  //   detail:
-  //     "Lorem ipsum dolor sit amet consectetur, adipisicing elit. Recusandae, asperiores! Nulla amet, id nisi deleniti quasi impedit ullam quidem eius.",
-  //   role: ["Web Design", "Creative Developer"],
-  //   stack: ["R3F", "WebGL", "ReactJS", "Blender"],
-  //   client: "Personal",
-  //   year: "2024",
-  //   url: "#",
-  //   gallery: [
-  //     "https://raw.githubusercontent.com/supahfunk/webgl-carousel/main/public/img/1.jpg",
-  //     "https://raw.githubusercontent.com/supahfunk/webgl-carousel/main/public/img/2.jpg",
-  //     "https://raw.githubusercontent.com/supahfunk/webgl-carousel/main/public/img/3.jpg",
-  //   ],
-  // },
-];
+// Projects live as Markdown/JSON files in ./Projects, see plugins/projects.js.
+// `detail` is the rendered HTML of each file's body.
+export { projectData } from "virtual:projects";
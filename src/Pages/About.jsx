@@ -0,0 +1,106 @@
+import React, { useEffect, useRef, useState } from "react";
+import gsap from "gsap";
+import "../Style/About.scss";
+import Scene from "../Scene/Scene";
+import { animateAbtCanvas, animateAbtElements } from "../Util/PageAnimations";
+import { useI18n } from "../Util/I18n";
+import { usePageMeta } from "../Util/Meta";
+
+// Each slide pairs a bit of studio info (about.slides in the catalogues) with a shape for the scene
+const shapes = ["icosahedron", "torusKnot", "octahedron", "torus"];
+
+function About() {
+  const abtRef = useRef(null);
+  const [current, setCurrent] = useState(0);
+  const hasSlid = useRef(false);
+  const { t } = useI18n();
+  usePageMeta();
+
+  const slides = t("about.slides").map((copy, index) => ({ ...copy, shape: shapes[index] }));
+  const slide = slides[current];
+
+  useEffect(() => {
+    const context = gsap.context(() => {
+      const tl = gsap.timeline();
+
+      tl.add(animateAbtElements(abtRef));
+      tl.add(animateAbtCanvas(abtRef), "-=1");
+    }, abtRef);
+
+    return () => context.revert();
+  }, []);
+
+  const changeSlide = direction => {
+    // The buttons already get the global click sound from useSoundEffects
+    setCurrent(prev => (prev + direction + slides.length) % slides.length);
+  };
+
+  // Blur the new word and copy in after each slide change
+  useEffect(() => {
+    // The intro timeline handles the first slide
+    if (!hasSlid.current) {
+      hasSlid.current = true;
+      return;
+    }
+
+    const context = gsap.context(() => {
+      gsap.fromTo(".type-word", { filter: "blur(2px)", autoAlpha: 0 }, { filter: "blur(0px)", autoAlpha: 1, duration: 0.5, ease: "sine.in" });
+      gsap.fromTo(".infoSlider .slide", { autoAlpha: 0, y: 10 }, { autoAlpha: 1, y: 0, duration: 0.75, ease: "expo.out" });
+      gsap.fromTo(".sceneInfo p", { clipPath: "inset(0 100% 0 0)" }, { clipPath: "inset(0 0% 0 0)", duration: 0.75, ease: "expo.out" });
+    }, abtRef);
+
+    return () => context.kill();
+  }, [current]);
+
+  return (
+    <section className='about' ref={abtRef}>
+      <div className='abtHeader'>
+        <div className='abtTitle'>
+          <h1>Enzari</h1>
+          <h1>Studios</h1>
+          <h5>{t("about.kicker")}</h5>
+        </div>
+        <p>{t("about.intro")}</p>
+      </div>
+
+      <div className='abtInfo'>
+        <div className='infoSlider'>
+          <div className='slide' key={current}>
+            <h6>
+              {String(current + 1).padStart(2, "0")} — {slide.word}
+            </h6>
+            <p>{slide.title}</p>
+          </div>
+        </div>
+      </div>
+
+      <div className='canv'>
+        <div className='canvScene'>
+          <Scene shape={slide.shape} />
+        </div>
+
+        <div className='type'>
+          <span className='Lword'>[</span>
+          <span className='type-word'>{slide.word}</span>
+          <span className='Rword'>]</span>
+        </div>
+
+        <button className='canvPrev' onClick={() => changeSlide(-1)} aria-label={t("about.previousSlide")}>
+          ←
+        </button>
+        <button className='canvNext' onClick={() => changeSlide(1)} aria-label={t("about.nextSlide")}>
+          →
+        </button>
+
+        <div className='sceneInfo'>
+          <h6>
+            {current + 1}/{slides.length}
+          </h6>
+          <p>{slide.scene}</p>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default About;
@@ -0,0 +1,159 @@
+import React, { useEffect, useLayoutEffect, useRef } from "react";
+import { useSearchParams } from "react-router-dom";
+import gsap from "gsap";
+import { Flip } from "gsap/Flip";
+import "../Style/Archive.scss";
+import { projectData } from "../Data/ProjectData";
+import SiteLink from "../Component/SiteLink";
+import { responsiveSrc } from "../Component/ResponsiveImage";
+import { useI18n } from "../Util/I18n";
+import { usePageMeta } from "../Util/Meta";
+
+gsap.registerPlugin(Flip);
+
+const unique = values => [...new Set(values)].sort();
+
+// Filter groups, each one a query string key. Values stay in English so filtered URLs work in every locale
+const groups = [
+  { key: "stack", values: unique(projectData.flatMap(project => project.stack)) },
+  { key: "role", values: unique(projectData.flatMap(project => project.role)) },
+  { key: "year", values: unique(projectData.map(project => project.year)).reverse() },
+];
+
+const projectValues = (project, key) => [].concat(project[key]);
+
+// Any selected value within a group, every group with a selection
+const matches = (project, filters) =>
+  groups.every(({ key }) => !filters[key].length || projectValues(project, key).some(value => filters[key].includes(value)));
+
+const rows = [...projectData].sort((a, b) => b.year.localeCompare(a.year) || a.id - b.id);
+
+function Archive() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const archiveRef = useRef(null);
+  const flipStateRef = useRef(null);
+  const { t, project: localize } = useI18n();
+  usePageMeta();
+
+  const filters = Object.fromEntries(groups.map(({ key }) => [key, searchParams.getAll(key)]));
+  const isFiltered = groups.some(({ key }) => filters[key].length);
+  const visibleCount = rows.filter(project => matches(project, filters)).length;
+
+  useEffect(() => {
+    const context = gsap.context(() => {
+      const tl = gsap.timeline();
+
+      tl.fromTo(".archive-head > *", { autoAlpha: 0, y: 20 }, { autoAlpha: 1, y: 0, duration: 1, stagger: 0.1, ease: "expo.out" }, 0.5);
+      tl.fromTo(".archive-row:not(.is-hidden)", { autoAlpha: 0, y: 20 }, { autoAlpha: 1, y: 0, duration: 0.8, stagger: 0.08, ease: "expo.out" }, "-=0.6");
+    }, archiveRef);
+
+    return () => context.revert();
+  }, []);
+
+  // Rows keep their place in the DOM, Flip animates them between layouts
+  useLayoutEffect(() => {
+    if (!flipStateRef.current) return;
+
+    const flip = Flip.from(flipStateRef.current, {
+      duration: 0.6,
+      ease: "expo.inOut",
+      absolute: true,
+      onEnter: elements => gsap.fromTo(elements, { autoAlpha: 0, y: 20 }, { autoAlpha: 1, y: 0, duration: 0.6, ease: "expo.out" }),
+      onLeave: elements => gsap.to(elements, { autoAlpha: 0, duration: 0.3, ease: "power1.out" }),
+    });
+    flipStateRef.current = null;
+
+    return () => flip.kill();
+  }, [searchParams]);
+
+  const updateFilters = update => {
+    flipStateRef.current = Flip.getState(archiveRef.current.querySelectorAll(".archive-row"));
+
+    const params = new URLSearchParams(searchParams);
+    update(params);
+    setSearchParams(params, { replace: true, preventScrollReset: true });
+  };
+
+  const toggleFilter = (key, value) =>
+    updateFilters(params => {
+      const selected = params.getAll(key);
+      params.delete(key);
+      (selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value]).forEach(item => params.append(key, item));
+    });
+
+  const clearFilters = () => updateFilters(params => groups.forEach(({ key }) => params.delete(key)));
+
+  return (
+    <section className='archive' ref={archiveRef}>
+      <div className='archive-head'>
+        <h6>{t("archive.count", { visible: String(visibleCount).padStart(2, "0"), total: String(rows.length).padStart(2, "0") })}</h6>
+        <h1>{t("common.archive")}</h1>
+
+        <div className='archive-filters'>
+          {groups.map(({ key, values }) => (
+            <div
+              className='archive-group'
+              key={key}
+              role='group'
+              aria-label={t("archive.filterBy", { group: t(`archive.groups.${key}`).toLowerCase() })}
+            >
+              <h6>{t(`archive.groups.${key}`)}</h6>
+              <ul>
+                {values.map(value => (
+                  <li key={value}>
+                    <button className='archive-tag' aria-pressed={filters[key].includes(value)} onClick={() => toggleFilter(key, value)}>
+                      {value}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+
+          <button className='archive-clear' onClick={clearFilters} disabled={!isFiltered}>
+            {t("archive.clear")}
+          </button>
+        </div>
+      </div>
+
+      <div className='archive-list' role='table' aria-label={t("archive.table")}>
+        <div className='archive-row archive-labels' role='row'>
+          {["project", "client", "role", "stack", "year"].map(column => (
+            <span role='columnheader' key={column}>
+              {t(`archive.columns.${column}`)}
+            </span>
+          ))}
+        </div>
+
+        {rows.map(project => {
+          const hidden = !matches(project, filters);
+          const { title, client } = localize(project);
+
+          return (
+            <div
+              className={`archive-row${hidden ? " is-hidden" : ""}`}
+              key={project.id}
+              data-flip-id={project.id}
+              role='row'
+              aria-hidden={hidden}
+            >
+              <span role='cell'>
+                <SiteLink to={`/Project/${project.id}`} preload={[responsiveSrc(project.poster, 960)]} tabIndex={hidden ? -1 : undefined}>
+                  {title}
+                </SiteLink>
+              </span>
+              <span role='cell'>{client}</span>
+              <span role='cell'>{project.role.join(", ")}</span>
+              <span role='cell'>{project.stack.join(" / ")}</span>
+              <span role='cell'>{project.year}</span>
+            </div>
+          );
+        })}
+
+        {!visibleCount && <p className='archive-empty'>{t("archive.empty")}</p>}
+      </div>
+    </section>
+  );
+}
+
+export default Archive;
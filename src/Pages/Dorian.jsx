@@ -11,6 +11,10 @@ import { EffectComposer } from "@react-three/postprocessing";
 import { Fluid } from "@whatisjery/react-fluid-distortion";
 import font from "/Font/uni.ttf";
 import useIsMobile from "../Util/isMobile";
+import { trackLoadingManager } from "../Util/LoadingManager";
+import SiteLink from "../Component/SiteLink";
+import { locales, useI18n } from "../Util/I18n";
+import { usePageMeta } from "../Util/Meta";
 
 export function DorianModel({ mouseSpeed, mousePosition, rotationSpeed, modelRef, animateIn }) {
   const { nodes, materials } = useGLTF("/Model/dorian.glb");
@@ -134,9 +138,12 @@ export function DorianModel({ mouseSpeed, mousePosition, rotationSpeed, modelRef
   );
 }
 
+// Report the model download to the Loader before it starts
+trackLoadingManager(THREE.DefaultLoadingManager);
 useGLTF.preload("/Model/dorian.glb");
 
-const Text = ({ enzariTextRef, studiosTextRef, paragraphRef, animateIn }) => {
+// The tagline is translated, so it's set in the locale's 3D font and its glyphs are built up front
+const Text = ({ enzariTextRef, studiosTextRef, paragraphRef, animateIn, tagline, taglineFont }) => {
   const { viewport } = useThree();
   const isMobile = useIsMobile();
   const enzariScaleRef = useRef(1);
@@ -225,6 +232,8 @@ const Text = ({ enzariTextRef, studiosTextRef, paragraphRef, animateIn }) => {
 
           <DreiText
               ref={paragraphRef}
+              font={taglineFont}
+              characters={tagline}
               maxWidth={isMobile ? 3 : 7.5}
               textAlign='center'
               fontSize={0.18}
@@ -233,8 +242,7 @@ const Text = ({ enzariTextRef, studiosTextRef, paragraphRef, animateIn }) => {
               color='white'
               transparent={true}
               opacity={0}>
-              ENZARI STUDIOS SPECIALIZES IN GENERATIVE AI, REAL-TIME INTERACTIVITY, AND IMMERSIVE WEBGL
-              EXPERIENCES.
+              {tagline}
           </DreiText>
       </group>
   );
@@ -248,6 +256,8 @@ const Dorian = () => {
   const lastMousePosition = useRef({ x: 0, y: 0 });
   const lastTime = useRef(0);
   const isMobile = useIsMobile();
+  const { locale, t } = useI18n();
+  usePageMeta();
   
   // Animation refs
   const modelRef = useRef(null);
@@ -323,12 +333,12 @@ const Dorian = () => {
       
         {/* Quick Links */}
         <div className='quick-links'>
-          <a href="/" className='quick-link home-link'>
-            HOME
-          </a>
-          <a href="https://www.dorianlods.com/" target="_blank" rel="noopener noreferrer" className='quick-link original-link'>
-            ORIGINAL SITE
-          </a>
+          <SiteLink to="/" className='quick-link home-link'>
+            {t("common.home").toLocaleUpperCase(locale)}
+          </SiteLink>
+          <SiteLink to="https://www.dorianlods.com/" className='quick-link original-link'>
+            {t("common.originalSite").toLocaleUpperCase(locale)}
+          </SiteLink>
         </div>
       
         <div className='dorian-canvas' ref={canvasRef}>
@@ -367,6 +377,8 @@ const Dorian = () => {
               studiosTextRef={studiosTextRef}
               paragraphRef={paragraphRef}
               animateIn={animateIn}
+              tagline={t("dorian.tagline").toLocaleUpperCase(locale)}
+              taglineFont={locales[locale].font3d}
             />
             <ambientLight intensity={0.5} />
             <pointLight position={[0, 0, 2.5]} intensity={100} />
@@ -1,18 +1,102 @@
-import React from "react";
+import React, { useEffect, useRef, useState } from "react";
+import gsap from "gsap";
 import "../Style/Home.scss";
+import { projectData } from "../Data/ProjectData";
+import { SoundCtrl } from "../Util/SoundEffects";
+import { animateHome, animateHomeFoot } from "../Util/PageAnimations";
+import { showcases } from "../Routes/Registry";
+import SiteLink from "../Component/SiteLink";
+import { responsiveSrc } from "../Component/ResponsiveImage";
+import { routeTitle, useI18n } from "../Util/I18n";
+import { usePageMeta } from "../Util/Meta";
 
 function Home() {
+  const homeRef = useRef(null);
+  const [current, setCurrent] = useState(0);
+  const [hovered, setHovered] = useState(null);
+  const { locale, t, project: localize } = useI18n();
+  usePageMeta();
+
+  const detailProject = hovered === null ? null : localize(projectData[hovered]);
+  const currentProject = localize(projectData[current]);
+
+  useEffect(() => {
+    const context = gsap.context(() => {
+      const tl = gsap.timeline();
+
+      tl.add(animateHome(homeRef));
+      tl.add(animateHomeFoot(homeRef), "-=1");
+    }, homeRef);
+
+    return () => context.revert();
+  }, []);
+
+  // Mobile title switcher
+  const changeTitle = direction => {
+    setCurrent(prev => (prev + direction + projectData.length) % projectData.length);
+  };
+
+  useEffect(() => {
+    gsap.fromTo(".titleMobile .titleCurrent", { autoAlpha: 0, y: 10 }, { autoAlpha: 1, y: 0, duration: 0.5, ease: "expo.out" });
+  }, [current]);
+
   return (
-    <div className="entry-page">
-      <div className="entry-content">
-        <h1 className="entry-title">ENZARI Test case</h1>
-        <div className="entry-links">
-          <a href="/oto" className="entry-link">OTO</a>
-          <a href="/dorian" className="entry-link">DORIAN</a>
-          {/* <a href="/coming-soon" className="entry-link">COMING SOON</a> */}
+    <section className='home' ref={homeRef}>
+      <div className='main-hero'>
+        <div className='name'>
+          <h1>Enzari</h1>
+          <h2>Studios</h2>
+        </div>
+
+        <div className='project'>
+          <h3>{t("home.selectedWork")}</h3>
+          <ul>
+            {projectData.map((project, index) => (
+              <li key={project.id} onMouseEnter={() => setHovered(index)} onMouseLeave={() => setHovered(null)}>
+                <SiteLink to={`/Project/${project.id}`} preload={[responsiveSrc(project.poster, 960)]}>
+                  <span>{localize(project).title}</span>
+                  <span className='year'>{project.year}</span>
+                </SiteLink>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className='detail'>
+          <h5>{detailProject ? `${detailProject.client} — ${detailProject.stack.join(" / ")}` : t("home.testCase")}</h5>
+        </div>
+
+        <div className='titleMobile'>
+          <button className='titlePrev' onClick={() => changeTitle(-1)} aria-label={t("home.previousProject")}>
+            ←
+          </button>
+          <SiteLink className='titleCurrent' to={`/Project/${currentProject.id}`} preload={[responsiveSrc(currentProject.poster, 960)]}>
+            {currentProject.title}
+          </SiteLink>
+          <button className='titleNext' onClick={() => changeTitle(1)} aria-label={t("home.nextProject")}>
+            →
+          </button>
         </div>
       </div>
-    </div>
+
+      <footer className='home-foot'>
+        <SoundCtrl />
+
+        <ul className='bCrumb'>
+          {showcases.map(showcase => (
+            <li key={showcase.id} style={{ "--showcase-accent": showcase.accent }}>
+              <SiteLink to={showcase.path}>{routeTitle(showcase, locale)}</SiteLink>
+            </li>
+          ))}
+        </ul>
+
+        <ul className='contact'>
+          <li>
+            <SiteLink to='https://github.com/Zhaqyy'>GitHub</SiteLink>
+          </li>
+        </ul>
+      </footer>
+    </section>
   );
 }
 
@@ -0,0 +1,66 @@
+import React, { useEffect, useRef } from "react";
+import { useLocation } from "react-router-dom";
+import gsap from "gsap";
+import "../Style/NotFound.scss";
+import Logo from "../Component/Logo";
+import SiteLink from "../Component/SiteLink";
+import { animateLogoDot, animateLogoIntro } from "../Util/PageAnimations";
+import { showcases } from "../Routes/Registry";
+import { routeTitle, useI18n } from "../Util/I18n";
+import { usePageMeta } from "../Util/Meta";
+
+function NotFound() {
+  const { pathname } = useLocation();
+  const notFoundRef = useRef(null);
+  const logoRef = useRef(null);
+  const { locale, t } = useI18n();
+  usePageMeta();
+
+  useEffect(() => {
+    const context = gsap.context(() => {
+      const tl = gsap.timeline();
+
+      // Draw the logo small, then let it grow and keep the dots wandering
+      tl.add(animateLogoIntro(logoRef));
+      tl.to(logoRef.current, { width: "min(50vw, 16rem)", height: "auto", duration: 1, ease: "expo.inOut" });
+      tl.fromTo(
+        ".notFound-text > *",
+        { autoAlpha: 0, y: 20 },
+        { autoAlpha: 1, y: 0, duration: 1, stagger: 0.1, ease: "expo.out" },
+        "-=0.5"
+      );
+      tl.add(animateLogoDot(logoRef));
+    }, notFoundRef);
+
+    return () => context.revert();
+  }, []);
+
+  return (
+    <section className='notFound' ref={notFoundRef}>
+      <div className='notFound-logo'>
+        <Logo ref={logoRef} />
+      </div>
+
+      <div className='notFound-text'>
+        <h6>{t("notFound.kicker")}</h6>
+        <h1>{t("notFound.title")}</h1>
+        <p>
+          {t("notFound.lead")} <code>{pathname}</code>. {t("notFound.suggest")}
+        </p>
+
+        <ul className='notFound-links'>
+          <li>
+            <SiteLink to='/'>{t("common.home")}</SiteLink>
+          </li>
+          {showcases.map(showcase => (
+            <li key={showcase.id} style={{ "--showcase-accent": showcase.accent }}>
+              <SiteLink to={showcase.path}>{routeTitle(showcase, locale)}</SiteLink>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </section>
+  );
+}
+
+export default NotFound;
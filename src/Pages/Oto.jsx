@@ -4,6 +4,9 @@ import gsap from "gsap";
 import { useGSAP } from "@gsap/react";
 import { SplitText } from "gsap/SplitText";
 import useIsMobile from "../Util/isMobile";
+import SiteLink from "../Component/SiteLink";
+import { useI18n } from "../Util/I18n";
+import { usePageMeta } from "../Util/Meta";
 
 // Register SplitText plugin
 gsap.registerPlugin(SplitText);
@@ -100,14 +103,13 @@ function Oto() {
   };
 
   const [NUM_PANES, setNUM_PANES] = useState(calculateNumPanes());
+  const { locale, t } = useI18n();
+  usePageMeta();
 
   // Optionally, map special days to the last few panes
-  const specialDays = [
-    { day: 'FRIDAY' },
-    { day: 'SATURDAY' },
-    { day: 'SUNDAY' },
-    { day: 'TICKETS' }
-  ].slice(0, CONFIG.numSpecialDays);
+  const specialDays = t("oto.days")
+    .map(day => ({ day: day.toLocaleUpperCase(locale) }))
+    .slice(0, CONFIG.numSpecialDays);
 
   const panes = Array.from({ length: NUM_PANES }, (_, i) => {
     // Attach special day labels to the last panes
@@ -370,7 +372,7 @@ function Oto() {
 
       {/* Navigation */}
       <nav className="navigation">
-        <a href="/" className="nav-item home-link">HOME</a>
+        <SiteLink to="/" className="nav-item home-link">{t("common.home").toLocaleUpperCase(locale)}</SiteLink>
       </nav>
 
 
@@ -379,11 +381,11 @@ function Oto() {
       <h1 className="main-title">ENZARI STUDIOS</h1>
 
       {/* Play Sound Button */}
-      <a href="https://otonove.studiokhi.com/" target="_blank" rel="noopener noreferrer"
+      <SiteLink to="https://otonove.studiokhi.com/"
         className="play-button"
       >
-        <span className="play-text">ORIGINAL SITE</span>
-      </a>
+        <span className="play-text">{t("common.originalSite").toLocaleUpperCase(locale)}</span>
+      </SiteLink>
     </section>
   );
 }
@@ -0,0 +1,81 @@
+import React, { Suspense, useEffect, useRef, useState } from "react";
+import { Canvas } from "@react-three/fiber";
+import { useNavigate } from "react-router-dom";
+import gsap from "gsap";
+import Carousel from "../Scene/Carousel";
+import Plane from "../Scene/Plane";
+import "../Style/Dorian.scss";
+import "../Style/Projects.scss";
+import { projectData } from "../Data/ProjectData";
+import SiteLink from "../Component/SiteLink";
+import { useI18n } from "../Util/I18n";
+import { usePageMeta } from "../Util/Meta";
+
+function Projects() {
+  const navigate = useNavigate();
+  const pageRef = useRef(null);
+  const [active, setActive] = useState(0);
+  const { locale, t, localize, project: localizeProject } = useI18n();
+  usePageMeta();
+
+  const activeProject = localizeProject(projectData[active]);
+
+  // Intro for the overlay copy
+  useEffect(() => {
+    const context = gsap.context(() => {
+      gsap.fromTo(".quick-link", { opacity: 0, y: -20 }, { opacity: 0.8, y: 0, duration: 0.8, stagger: 0.2, ease: "power2.out", delay: 1 });
+      gsap.fromTo(
+        ".projects-caption",
+        { clipPath: "inset(0 100% 0 0)", autoAlpha: 0 },
+        { clipPath: "inset(0 0% 0 0)", autoAlpha: 1, duration: 1, ease: "expo.out", delay: 1.2 }
+      );
+    }, pageRef);
+
+    return () => context.revert();
+  }, []);
+
+  // Swap the caption whenever the centred slide changes
+  useEffect(() => {
+    gsap.fromTo(".projects-caption h1", { y: 20, autoAlpha: 0 }, { y: 0, autoAlpha: 1, duration: 0.5, ease: "expo.out" });
+  }, [active]);
+
+  const handleSelect = project => {
+    navigate(localize(`/Project/${project.id}`));
+  };
+
+  return (
+    <div className='projects-page' ref={pageRef}>
+      <div className='quick-links'>
+        <SiteLink to='/' className='quick-link home-link'>
+          {t("common.home").toLocaleUpperCase(locale)}
+        </SiteLink>
+        <SiteLink to='/archive' className='quick-link'>
+          {t("common.archive").toLocaleUpperCase(locale)}
+        </SiteLink>
+      </div>
+
+      <div className='projects-canvas'>
+        <Canvas camera={{ position: [0, 0, 5], fov: 75 }}>
+          <Suspense fallback={null}>
+            <Carousel items={projectData} onSelect={handleSelect} onActiveChange={setActive} />
+          </Suspense>
+
+          {/* Oil-spill step pattern on top, same as Dorian */}
+          <Plane width={20} height={20} position={[0, 0, 0.5]} active={true} />
+        </Canvas>
+      </div>
+
+      <div className='projects-caption'>
+        <h6>
+          {String(active + 1).padStart(2, "0")} / {String(projectData.length).padStart(2, "0")}
+        </h6>
+        <h1>{activeProject?.title}</h1>
+        <p>
+          {activeProject?.client} — {activeProject?.year}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default Projects;
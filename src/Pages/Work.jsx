@@ -0,0 +1,306 @@
+import React, { useEffect, useRef, useState } from "react";
+import { useLocation, useNavigate, useParams } from "react-router-dom";
+import gsap from "gsap";
+import "../Style/Work.scss";
+import { projectData } from "../Data/ProjectData";
+import SiteLink from "../Component/SiteLink";
+import Blocks from "../Component/Blocks";
+import Lightbox, { isVideo } from "../Component/Lightbox";
+import ResponsiveImage, { responsiveSrc } from "../Component/ResponsiveImage";
+import { animateImage, animateImageIn, animateWork } from "../Util/PageAnimations";
+import { getUnlocked, unlockVault } from "../Util/Vault";
+import { useI18n } from "../Util/I18n";
+import { projectMeta, usePageMeta } from "../Util/Meta";
+
+// Put the unlocked text back into the redacted spans, bars stay for the reveal
+const revealDetail = (detail, spans) =>
+  detail.replace(
+    /<span class="redacted" data-redacted="(\d+)"[^>]*>.*?<\/span><\/span>/g,
+    (match, index) => `<span class="redacted is-revealed"><span class="redacted-bar"></span>${spans[index]}</span>`
+  );
+
+// Passphrase form for confidential projects, checked and decrypted in the browser
+const Unlock = ({ project, onUnlock }) => {
+  const formRef = useRef(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [failed, setFailed] = useState(false);
+  const { t } = useI18n();
+
+  const handleSubmit = async event => {
+    event.preventDefault();
+    if (!passphrase || busy) return;
+
+    setBusy(true);
+    const secrets = await unlockVault(project.id, project.vault, passphrase).catch(() => null);
+    setBusy(false);
+
+    if (secrets) return onUnlock(secrets);
+
+    setFailed(true);
+    gsap.fromTo(formRef.current, { x: -8 }, { x: 0, duration: 0.6, ease: "elastic.out(1, 0.3)" });
+  };
+
+  return (
+    <form className='unlock' ref={formRef} onSubmit={handleSubmit}>
+      <label htmlFor='unlock-passphrase'>
+        <h6>{t("work.unlockPrompt")}</h6>
+      </label>
+      <div className='unlock-field'>
+        <input
+          id='unlock-passphrase'
+          type='password'
+          autoComplete='off'
+          value={passphrase}
+          onChange={event => {
+            setPassphrase(event.target.value);
+            setFailed(false);
+          }}
+          aria-invalid={failed}
+          aria-describedby={failed ? "unlock-error" : undefined}
+        />
+        <button type='submit' disabled={busy}>
+          {busy ? t("work.checking") : t("work.unlock")}
+        </button>
+      </div>
+      {failed && (
+        <p id='unlock-error' role='alert'>
+          {t("work.unlockFailed")}
+        </p>
+      )}
+    </form>
+  );
+};
+
+// Navigation state for the poster transition, growing from the preview's box
+const posterTransition = (project, previewEl) => {
+  const rect = previewEl?.getBoundingClientRect();
+  const from = rect && rect.width ? { top: rect.top, left: rect.left, width: rect.width, height: rect.height } : undefined;
+
+  return { transition: { name: "poster", src: responsiveSrc(project.poster, 1920), from } };
+};
+
+// Fields that use the arrow keys themselves
+const isEditable = element => element?.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(element?.tagName);
+
+// Previous / next project, wrapping around. The poster shows on hover and becomes the transition
+const ProjectNav = ({ project, keyboard }) => {
+  const navigate = useNavigate();
+  const previewRefs = useRef({});
+  const i18n = useI18n();
+
+  const index = projectData.indexOf(project);
+  const total = projectData.length;
+  const adjacent = {
+    prev: i18n.project(projectData[(index - 1 + total) % total]),
+    next: i18n.project(projectData[(index + 1) % total]),
+  };
+
+  const goTo = direction => {
+    const target = adjacent[direction];
+    navigate(i18n.localize(`/Project/${target.id}`), { state: posterTransition(target, previewRefs.current[direction]) });
+  };
+
+  useEffect(() => {
+    if (!keyboard) return;
+
+    const handleKeyDown = event => {
+      if (event.defaultPrevented || event.altKey || event.ctrlKey || event.metaKey) return;
+      // Arrows move the caret while typing, e.g. in the Unlock passphrase
+      if (isEditable(event.target)) return;
+      if (event.key === "ArrowLeft") goTo("prev");
+      if (event.key === "ArrowRight") goTo("next");
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [project, keyboard, i18n]);
+
+  return (
+    <nav className='workNav' aria-label={i18n.t("work.moreProjects")}>
+      {Object.entries(adjacent).map(([direction, target]) => (
+        <SiteLink
+          key={direction}
+          to={`/Project/${target.id}`}
+          preload={[responsiveSrc(target.poster, 1920)]}
+          className={`workNav-link workNav-${direction}`}
+          onClick={event => {
+            event.preventDefault();
+            goTo(direction);
+          }}
+        >
+          <h6>{i18n.t(direction === "prev" ? "work.previous" : "work.next")}</h6>
+          <span>{target.title}</span>
+          <ResponsiveImage
+            className='workNav-poster'
+            ref={el => (previewRefs.current[direction] = el)}
+            src={target.poster}
+            sizes='14rem'
+            alt=''
+            aria-hidden
+          />
+        </SiteLink>
+      ))}
+    </nav>
+  );
+};
+
+function Work() {
+  const { id } = useParams();
+  const location = useLocation();
+  const workRef = useRef(null);
+  const imageWrapRefs = useRef([]);
+  const [lightboxIndex, setLightboxIndex] = useState(null);
+  const i18n = useI18n();
+  const { t } = i18n;
+
+  const project = projectData.find(p => String(p.id) === id);
+  const [secrets, setSecrets] = useState(() => project && getUnlocked(project.id));
+  const revealedRef = useRef(Boolean(secrets));
+
+  // Shares the excerpt, which never holds redacted text
+  usePageMeta(projectMeta(i18n.project(project)) || { title: t("work.missingTitle") });
+
+  useEffect(() => {
+    if (!project) return;
+
+    // Drop refs left over from a previous project with a longer gallery
+    imageWrapRefs.current = imageWrapRefs.current.slice(0, project.gallery.length);
+
+    const context = gsap.context(() => {
+      // Coming from a neighbour, let its poster fade off first
+      const tl = gsap.timeline({ delay: location.state?.transition?.name === "poster" ? 0.8 : 0 });
+
+      tl.add(animateWork(workRef));
+      tl.add(animateImageIn(imageWrapRefs), "-=1");
+      tl.add(animateImage(imageWrapRefs), "<");
+    }, workRef);
+
+    return () => context.revert();
+  }, [project]);
+
+  // Lift the bars off whatever was just unlocked
+  useEffect(() => {
+    if (!secrets || revealedRef.current) return;
+    revealedRef.current = true;
+
+    const context = gsap.context(() => {
+      gsap.to(".redacted.is-revealed .redacted-bar", { scaleX: 0, duration: 0.8, stagger: 0.15, ease: "expo.inOut" });
+      animateImage({ current: [...workRef.current.querySelectorAll(".media.is-revealed")] });
+    }, workRef);
+
+    return () => context.kill();
+  }, [secrets]);
+
+  if (!project) {
+    return (
+      <section className='work work-missing'>
+        <h6>Project #{id}</h6>
+        <h1>{t("work.missingTitle")}</h1>
+        <p>{t("work.missingBody")}</p>
+        <SiteLink to='/' className='liveBtn'>
+          {t("work.backHome")}
+        </SiteLink>
+      </section>
+    );
+  }
+
+  // Translated fields, English where there is no translation
+  const { title, detail, role, stack, client, year, url, poster, confidential, vault, blocks } = i18n.project(project);
+  const isPrivate = !url || url === "#";
+
+  // Redacted gallery items are null until unlocked
+  const gallery = project.gallery.map((src, index) => src ?? secrets?.gallery[index] ?? null);
+  const viewable = gallery.filter(Boolean);
+
+  return (
+    <section className='work' ref={workRef}>
+      <div className='title'>
+        <h6>
+          {client} — {year}
+          {confidential && <span className='confidential-tag'>{t("work.confidential")}</span>}
+        </h6>
+        <h1>{title}</h1>
+      </div>
+
+      <div className='detail'>
+        <div className='desc' dangerouslySetInnerHTML={{ __html: secrets ? revealDetail(detail, secrets.spans) : detail }} />
+
+        {vault && !secrets && <Unlock project={project} onUnlock={setSecrets} />}
+
+        <div className='serviceList'>
+          <h6>{t("work.role")}</h6>
+          <ul>
+            {role.map(item => (
+              <li key={item}>{item}</li>
+            ))}
+          </ul>
+        </div>
+
+        <div className='stack'>
+          <h6>{t("work.stack")}</h6>
+          <ul>
+            {stack.map(item => (
+              <li key={item}>{item}</li>
+            ))}
+          </ul>
+        </div>
+
+        {isPrivate ? (
+          <span className='liveBtn disabled'>{t("work.privateBuild")}</span>
+        ) : (
+          <SiteLink to={url} className='liveBtn'>
+            {t("work.visitSite")}
+          </SiteLink>
+        )}
+      </div>
+
+      <div className='gallery'>
+        {gallery.map((src, index) =>
+          !src ? (
+            <div className='media media-redacted' key={`redacted-${index}`} ref={el => (imageWrapRefs.current[index] = el)}>
+              <div className='media-slide redacted-block' aria-hidden>
+                <span className='redacted-bar' />
+              </div>
+              <span className='sr-only'>{t("work.redactedMedia")}</span>
+            </div>
+          ) : (
+            <div
+              className={`media${project.gallery[index] ? "" : " is-revealed"}`}
+              key={src}
+              ref={el => (imageWrapRefs.current[index] = el)}
+            >
+              {isVideo(src) ? (
+                <video className='media-slide' src={src} poster={responsiveSrc(poster, 960)} autoPlay muted loop playsInline />
+              ) : (
+                <ResponsiveImage
+                  className='media-slide'
+                  src={src}
+                  sizes='(max-width: 768px) 100vw, 60vw'
+                  alt={t("work.preview", { title, index: index + 1 })}
+                  loading='lazy'
+                />
+              )}
+              <button
+                className='media-open'
+                onClick={() => setLightboxIndex(viewable.indexOf(src))}
+                aria-label={t("work.openPreview", { title, index: index + 1 })}
+              />
+            </div>
+          )
+        )}
+      </div>
+
+      <Blocks key={project.id} blocks={blocks} title={title} />
+
+      {/* The lightbox takes the arrow keys while it is open */}
+      <ProjectNav project={project} keyboard={lightboxIndex === null} />
+
+      {lightboxIndex !== null && (
+        <Lightbox items={viewable} poster={poster} title={title} startIndex={lightboxIndex} onClose={() => setLightboxIndex(null)} />
+      )}
+    </section>
+  );
+}
+
+export default Work;
@@ -0,0 +1,113 @@
+import { lazy } from "react";
+import { matchPath } from "react-router-dom";
+import { loadRoute } from "../Util/LoadingManager";
+import { stripLocale } from "../Util/I18n";
+
+export const siteTitle = "Enzari studios";
+
+const defaultAmbient = "/Sounds/homeAmb.mp3";
+
+/**
+ * Every page of the site, in menu order.
+ *
+ * Showcases are the entries with an `original` URL: they are listed on Home
+ * and link back to the site they recreate. Adding a recreation only means
+ * adding an entry here.
+ *
+ * @typedef {Object} RouteEntry
+ * @property {string} id - Stable key
+ * @property {string} path - react-router path pattern, also served under every locale prefix (/fr/oto)
+ * @property {string} title - Used for links, menus and the document title, translated by `routes.<id>` in the catalogues
+ * @property {Function} load - Dynamic import of the page module
+ * @property {React.LazyExoticComponent} component - Lazy page component, resolved once `load` and `preload` are done
+ * @property {string} [original] - URL of the recreated site
+ * @property {string} [accent] - Accent colour used where the route is listed
+ * @property {string} [image] - Share image (OpenGraph / Twitter), see Util/Meta
+ * @property {string|Object} [transition] - Transition into the page, a name from Util/Transition or { name, color, duration, ease }
+ * @property {string} [ambient] - Ambient track played on the route
+ * @property {string[]} [preload] - Assets the page needs before it can show (images, videos, fonts, models)
+ * @property {boolean} [menu] - Listed in the Header menu
+ */
+const entries = [
+  {
+    id: "home",
+    path: "/",
+    title: "Home",
+    load: () => import("../Pages/Home"),
+    menu: true,
+  },
+  {
+    id: "projects",
+    path: "/projects",
+    title: "Projects",
+    load: () => import("../Pages/Projects"),
+    menu: true,
+  },
+  {
+    id: "archive",
+    path: "/archive",
+    title: "Archive",
+    load: () => import("../Pages/Archive"),
+    menu: true,
+  },
+  {
+    id: "project",
+    path: "/Project/:id",
+    title: "Project",
+    load: () => import("../Pages/Work"),
+  },
+  {
+    id: "about",
+    path: "/about",
+    title: "About",
+    load: () => import("../Pages/About"),
+    menu: true,
+  },
+  {
+    id: "oto",
+    path: "/oto",
+    title: "Oto",
+    load: () => import("../Pages/Oto"),
+    original: "https://otonove.studiokhi.com/",
+    accent: "rgb(190, 115, 85)",
+    transition: { name: "panes", color: "rgb(190, 115, 85)" },
+  },
+  {
+    id: "dorian",
+    path: "/dorian",
+    title: "Dorian",
+    load: () => import("../Pages/Dorian"),
+    original: "https://www.dorianlods.com/",
+    accent: "#722F37",
+    transition: "radial",
+    preload: ["/Model/dorian.glb", "/Font/uni.ttf"],
+  },
+  // Catch-all, keep it last so findRoute only falls back to it
+  {
+    id: "notFound",
+    path: "*",
+    title: "Page not found",
+    load: () => import("../Pages/NotFound"),
+  },
+];
+
+export const routes = entries.map(entry => {
+  const route = {
+    transition: "wipe",
+    ambient: defaultAmbient,
+    preload: [],
+    menu: false,
+    ...entry,
+  };
+
+  // The chunk and its preload assets both count towards the Loader progress
+  route.component = lazy(() => loadRoute(route));
+  return route;
+});
+
+export const showcases = routes.filter(route => route.original);
+
+export const menuRoutes = routes.filter(route => route.menu);
+
+// Registry entry matching a pathname, with or without its locale prefix
+export const findRoute = pathname => routes.find(route => matchPath({ path: route.path, end: true }, stripLocale(pathname)));
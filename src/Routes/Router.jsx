@@ -1,73 +1,49 @@
-import React, { useState } from "react";
-import { Routes, Route } from "react-router-dom";
+import React, { Suspense, useEffect } from "react";
+import { Routes, Route, useLocation } from "react-router-dom";
 
-// import Loader from "../Component/Loader/Loader";
+import Loader from "../Component/Loader/Loader";
 import Transitioner from "../Util/Transition";
-
-import Home from "../Pages/Home";
-import Dorian from "../Pages/Dorian";
-import Oto from "../Pages/Oto";
+import { routes } from "./Registry";
+import { localeFromPath, locales, localizePath } from "../Util/I18n";
+import LocaleSwitch from "../Component/LocaleSwitch";
+import TweakPanel from "../Component/TweakPanel";
+import { debug } from "../Util/Tweaks";
 
 // import Header from "../Component/Header";
 
 const Router = () => {
-  // const [loaderFinished, setLoaderFinished] = useState(false);
+  const location = useLocation();
+
+  // Titles and head tags are set by each page, see Util/Meta
+  useEffect(() => {
+    document.documentElement.lang = localeFromPath(location.pathname);
+  }, [location.pathname]);
 
   return (
     <>
-      {/* <Loader onComplete={() => setLoaderFinished(true)} /> */}
-
-      {/* Render routes only after the loader signals completion */}
-      {/* {loaderFinished && ( */}
-        <>
-          {/* <Header /> */}
-
-          <Routes>
-            <Route
-              index
-              path='/'
-              element={
-                <Transitioner>
-                  <Home />
-                </Transitioner>
-              }
-            />
-            <Route
-              path='/oto'
-              element={
-                <Transitioner>
-                  <Oto />
-                </Transitioner>
-              }
-            />
-            <Route
-              path='/dorian'
-              element={
-                <Transitioner>
-                  <Dorian />
-                </Transitioner>
-              }
-            />
-            {/* <Route
-              path='/about'
-              element={
-                <Transitioner>
-                  <About />
-                </Transitioner>
-              }
-            />
-            <Route
-              path='/Project/:id'
-              element={
-                <Transitioner>
-                  <Work />
-                </Transitioner>
-              }
-            /> */}
-          </Routes>
-        </>
-      {/* )} */}
-
+      {/* <Header /> */}
+      <LocaleSwitch />
+      {debug && <TweakPanel />}
+
+      {/* The Loader shows while a page chunk and its assets load */}
+      <Suspense fallback={<Loader />}>
+        <Routes>
+          {/* Every page under each locale prefix, the catch-all already covers /fr/anything */}
+          {routes.flatMap(({ id, path, component: Page }) =>
+            (path === "*" ? [path] : Object.keys(locales).map(locale => localizePath(path, locale))).map(localizedPath => (
+              <Route
+                key={`${id}-${localizedPath}`}
+                path={localizedPath}
+                element={
+                  <Transitioner>
+                    <Page />
+                  </Transitioner>
+                }
+              />
+            ))
+          )}
+        </Routes>
+      </Suspense>
     </>
   );
 };
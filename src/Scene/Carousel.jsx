@@ -0,0 +1,285 @@
+import * as THREE from "three";
+import { useEffect, useMemo, useRef, useState } from "react";
+import { useThree, useFrame } from "@react-three/fiber";
+import { useTexture } from "@react-three/drei";
+import { useLenis } from "lenis/react";
+import { MAX_DELTA, REFERENCE_FPS, frameLerp } from "../Util/Gpgpu";
+import useDisplacement from "../Util/Displacement";
+import { responsiveSrc } from "../Component/ResponsiveImage";
+import { trackLoadingManager } from "../Util/LoadingManager";
+import { useTweaks } from "../Util/Tweaks";
+
+// Poster textures report to the Loader
+trackLoadingManager(THREE.DefaultLoadingManager);
+
+/**
+ * Simulation params. Slides sample the displacement, so relaxation has to stay
+ * below 1 for it to fade out, above 1 it grows every frame until the posters break.
+ */
+const carouselDefaults = {
+  gpgpu: {
+    relaxation: 0.94, // Share kept per frame at 60fps
+    distance: 1.0,
+    strengh: 1.0,
+  },
+};
+
+// Slider ranges for the tweak panel
+const carouselControls = {
+  gpgpu: {
+    relaxation: { min: 0, max: 0.99, step: 0.01 },
+    distance: { min: 0, max: 5, step: 0.01 },
+    strengh: { min: 0, max: 3, step: 0.01 },
+  },
+};
+
+const vertexShader = /* glsl */ `
+  varying vec2 vUv;
+  uniform float uVelocity;
+  uniform float uTime;
+
+  void main() {
+    vUv = uv;
+    vec3 pos = position;
+
+    // Bend the slide along its width while the carousel is moving
+    pos.z += sin(uv.x * 3.14159265) * uVelocity * 0.35;
+    pos.z += sin(pos.y * 4.0 + uTime) * 0.005;
+
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
+  }
+`;
+
+const fragmentShader = /* glsl */ `
+  uniform sampler2D uTexture;
+  uniform sampler2D uDisplacementTexture;
+  uniform vec2 uViewport;
+  uniform vec2 uPlaneSize;
+  uniform vec2 uImageSize;
+  uniform float uVelocity;
+  uniform float uIntensity;
+  uniform float uRGBShift;
+  uniform float uHover;
+  uniform float uOpacity;
+
+  varying vec2 vUv;
+
+  // object-fit: cover for the poster inside the slide
+  vec2 coverUv(vec2 uv, vec2 plane, vec2 image) {
+    vec2 ratio = vec2(
+      min((plane.x / plane.y) / (image.x / image.y), 1.0),
+      min((plane.y / plane.x) / (image.y / image.x), 1.0)
+    );
+    return uv * ratio + (1.0 - ratio) * 0.5;
+  }
+
+  void main() {
+    // The simulation covers the whole screen, so sample it in screen space
+    vec2 screenUv = gl_FragCoord.xy / uViewport;
+    vec4 displacement = texture2D(uDisplacementTexture, screenUv);
+
+    vec2 uv = coverUv(vUv, uPlaneSize, uImageSize);
+    uv += displacement.rg * uIntensity * 0.05;
+
+    float shift = displacement.b * uRGBShift * 0.01 + abs(uVelocity) * 0.01;
+    float r = texture2D(uTexture, uv + vec2(shift, 0.0)).r;
+    float g = texture2D(uTexture, uv).g;
+    float b = texture2D(uTexture, uv - vec2(shift, 0.0)).b;
+    vec3 color = vec3(r, g, b);
+
+    // Desaturate idle slides, full colour on hover
+    float grey = dot(color, vec3(0.299, 0.587, 0.114));
+    color = mix(vec3(grey), color, 0.35 + uHover * 0.65);
+
+    gl_FragColor = vec4(color, uOpacity);
+  }
+`;
+
+const Slide = ({ texture, width, height, step, index, total, progress, velocity, displacement, onSelect }) => {
+  const $mesh = useRef();
+  const hover = useRef(0);
+  const [hovered, setHovered] = useState(false);
+  const { gl } = useThree();
+
+  const shaderArgs = useMemo(
+    () => ({
+      uniforms: {
+        uTexture: { value: texture },
+        uDisplacementTexture: { value: null },
+        uViewport: { value: new THREE.Vector2() },
+        uPlaneSize: { value: new THREE.Vector2(width, height) },
+        uImageSize: { value: new THREE.Vector2(texture.image?.width || 1, texture.image?.height || 1) },
+        uVelocity: { value: 0 },
+        uTime: { value: 0 },
+        uIntensity: { value: 1.2 },
+        uRGBShift: { value: 0.93 },
+        uHover: { value: 0 },
+        uOpacity: { value: 1 },
+      },
+      vertexShader,
+      fragmentShader,
+    }),
+    [texture, width, height]
+  );
+
+  useFrame(({ clock }, frameDelta) => {
+    if (!$mesh.current) return;
+
+    const length = step * total;
+
+    // Wrap slides around so the carousel loops infinitely
+    const x = THREE.MathUtils.euclideanModulo(index * step - progress.current + length / 2, length) - length / 2;
+    $mesh.current.position.x = x;
+
+    hover.current = THREE.MathUtils.lerp(hover.current, hovered ? 1 : 0, frameLerp(0.1, Math.min(frameDelta, MAX_DELTA)));
+
+    const { uniforms } = $mesh.current.material;
+    gl.getDrawingBufferSize(uniforms.uViewport.value);
+    uniforms.uDisplacementTexture.value = displacement();
+    uniforms.uVelocity.value = velocity.current;
+    uniforms.uTime.value = clock.getElapsedTime();
+    uniforms.uHover.value = hover.current;
+    // Fade slides out towards the edges of the loop
+    uniforms.uOpacity.value = 1 - THREE.MathUtils.smoothstep(Math.abs(x), length / 2 - step, length / 2);
+  });
+
+  return (
+    <mesh
+      ref={$mesh}
+      onClick={() => onSelect(index)}
+      onPointerEnter={() => setHovered(true)}
+      onPointerLeave={() => setHovered(false)}
+    >
+      <planeGeometry args={[width, height, 32, 32]} />
+      <shaderMaterial args={[shaderArgs]} transparent={true} />
+    </mesh>
+  );
+};
+
+const Carousel = ({ items, onSelect, onActiveChange }) => {
+  const { viewport, gl: renderer } = useThree();
+  const textures = useTexture(items.map(item => responsiveSrc(item.poster, 1440)));
+
+  const progress = useRef(0);
+  const targetProgress = useRef(0);
+  const velocity = useRef(0);
+  const activeIndex = useRef(-1);
+  const drag = useRef({ active: false, x: 0, moved: 0 });
+
+  // Slide size follows the viewport, narrower on portrait screens
+  const width = Math.min(viewport.width * (viewport.aspect < 1 ? 0.7 : 0.35), 6);
+  const height = width * 1.3;
+  const step = width * 1.25; // slide width plus gap
+
+  const gpgpuParams = useMemo(() => ({ ...carouselDefaults.gpgpu, size: 4096 }), []);
+
+  const { compute, isPaused, getTexture, updatePointer, releasePointer, setParams } = useDisplacement({
+    renderer,
+    params: gpgpuParams,
+  });
+
+  // ?debug panel
+  useTweaks("Carousel", {
+    controls: carouselControls,
+    values: carouselDefaults,
+    apply: (group, name, value) => setParams({ [name]: value }),
+  });
+
+  // Wheel and trackpad input, normalised by Lenis
+  const lenis = useLenis();
+
+  useEffect(() => {
+    if (!lenis) return;
+
+    return lenis.on("virtual-scroll", ({ deltaX, deltaY }) => {
+      const delta = Math.abs(deltaX) > Math.abs(deltaY) ? deltaX : deltaY;
+      targetProgress.current += delta * 0.005;
+    });
+  }, [lenis]);
+
+  // Drag input and pointer tracking for the displacement simulation
+  useEffect(() => {
+    const element = renderer.domElement;
+
+    const handlePointerDown = event => {
+      drag.current = { active: true, x: event.clientX, moved: 0 };
+    };
+
+    const handlePointerMove = event => {
+      updatePointer({ x: event.clientX / window.innerWidth, y: 1 - event.clientY / window.innerHeight }, event.pointerId);
+
+      if (!drag.current.active) return;
+      const delta = event.clientX - drag.current.x;
+      drag.current.x = event.clientX;
+      drag.current.moved += Math.abs(delta);
+      targetProgress.current -= (delta / window.innerWidth) * viewport.width * 1.5;
+    };
+
+    const handlePointerUp = event => {
+      // A lifted finger stops pushing the simulation, the mouse keeps hovering
+      if (event.pointerType !== "mouse") releasePointer(event.pointerId);
+
+      drag.current.active = false;
+      // Settle on the closest slide
+      targetProgress.current = Math.round(targetProgress.current / step) * step;
+    };
+
+    element.addEventListener("pointerdown", handlePointerDown);
+    window.addEventListener("pointermove", handlePointerMove);
+    window.addEventListener("pointerup", handlePointerUp);
+
+    return () => {
+      element.removeEventListener("pointerdown", handlePointerDown);
+      window.removeEventListener("pointermove", handlePointerMove);
+      window.removeEventListener("pointerup", handlePointerUp);
+    };
+  }, [renderer, updatePointer, releasePointer, viewport.width, step]);
+
+  useFrame((state, frameDelta) => {
+    // Scrolled away or in a hidden tab, nothing to move
+    if (isPaused()) return;
+
+    const delta = Math.min(frameDelta, MAX_DELTA);
+    compute(delta);
+
+    const previous = progress.current;
+    progress.current = THREE.MathUtils.lerp(progress.current, targetProgress.current, frameLerp(0.08, delta));
+    // Movement per 60fps frame, whatever the refresh rate
+    const frames = Math.max(delta * REFERENCE_FPS, 1e-3);
+    velocity.current = THREE.MathUtils.clamp(((progress.current - previous) / frames) * 2, -1, 1);
+
+    const index = THREE.MathUtils.euclideanModulo(Math.round(progress.current / step), items.length);
+    if (index !== activeIndex.current) {
+      activeIndex.current = index;
+      onActiveChange?.(index);
+    }
+  });
+
+  const handleSelect = index => {
+    // Ignore the click that ends a drag
+    if (drag.current.moved > 10) return;
+    onSelect(items[index], index);
+  };
+
+  return (
+    <group>
+      {items.map((item, index) => (
+        <Slide
+          key={item.id}
+          texture={textures[index]}
+          width={width}
+          height={height}
+          step={step}
+          index={index}
+          total={items.length}
+          progress={progress}
+          velocity={velocity}
+          displacement={getTexture}
+          onSelect={handleSelect}
+        />
+      ))}
+    </group>
+  );
+};
+
+export default Carousel;
@@ -1,9 +1,125 @@
 import * as THREE from "three";
+import gsap from "gsap";
 import { useEffect, useMemo, useRef, useState } from "react";
 import { useThree, useFrame } from "@react-three/fiber";
-import useGPGPU from "../Util/Gpgpu";
+import { MAX_DELTA, MAX_POINTERS, frameLerp } from "../Util/Gpgpu";
+import useDisplacement from "../Util/Displacement";
+import { mergePreset, useTweaks } from "../Util/Tweaks";
 
-const Plane = ({ width, height, active, ...props }) => {
+/**
+ * The plane's look: shader uniforms and simulation params. A `preset` has
+ * the same shape and only needs the values it changes, export one from the
+ * ?debug tweak panel. Lerp speeds and relaxation are per frame at 60fps and
+ * scaled to the real frame time, so they look the same at any refresh rate.
+ */
+export const planeDefaults = {
+  uniforms: {
+    uIntensity: 1.2, // Slightly higher intensity
+    uRGBShift: 0.93, // More pronounced RGB shift
+    uChromaticAberration: 0.95, // More pronounced chromatic aberration
+    uStepCount: 100.0, // Number of steps (can be controlled)
+    uStepSize: 1.0, // Size of each step
+    uPatternOpacity: 0.75, // Opacity of the pattern
+    uStepRadius: 0.1, // Radius around mouse where steps are visible
+    uStepLerpSpeed: 0.025, // Lerp speed for smooth mouse following
+    uOilSpillSpeed: 0.5, // Speed of oil spill color flow
+    uVisibilityLerpSpeed: 0.01, // Very slow lerp for visibility transitions
+    uMouseInertia: 1.0, // Inertia factor for mouse movement
+    uMouseLerpSpeed: 0.09, // Mouse position lerp speed
+  },
+  gpgpu: {
+    relaxation: 2.0, // Slightly higher for smoother dissipation
+    distance: 1.0, // Larger influence area
+    strengh: 1.0, // Displacement multiplier, 1 is the untuned look
+  },
+};
+
+// Slider ranges for the tweak panel
+const planeControls = {
+  uniforms: {
+    uIntensity: { min: 0, max: 3, step: 0.01 },
+    uRGBShift: { min: 0, max: 2, step: 0.01 },
+    uChromaticAberration: { min: 0, max: 2, step: 0.01 },
+    uStepCount: { min: 1, max: 400, step: 1 },
+    uStepSize: { min: 0.1, max: 4, step: 0.01 },
+    uPatternOpacity: { min: 0, max: 1, step: 0.01 },
+    uStepRadius: { min: 0, max: 1, step: 0.005 },
+    uStepLerpSpeed: { min: 0, max: 0.2, step: 0.001 },
+    uOilSpillSpeed: { min: 0, max: 1, step: 0.01 },
+    uVisibilityLerpSpeed: { min: 0, max: 0.2, step: 0.001 },
+    uMouseInertia: { min: 0, max: 1, step: 0.01 },
+    uMouseLerpSpeed: { min: 0, max: 0.5, step: 0.005 },
+  },
+  gpgpu: {
+    relaxation: { min: 0, max: 3, step: 0.01 },
+    distance: { min: 0, max: 5, step: 0.01 },
+    strengh: { min: 0, max: 3, step: 0.01 },
+  },
+};
+
+// The oil spill's original magenta / purple / cyan colours
+export const defaultPalette = [
+  "rgb(255, 26, 230)", // Bright magenta
+  "rgb(102, 26, 255)", // Deep purple
+  "rgb(26, 204, 255)", // Deep cyan
+  "rgb(204, 51, 255)", // Magenta-purple
+  "rgb(51, 153, 255)", // Purple-cyan
+  "rgb(255, 77, 204)", // Bright magenta-pink
+];
+
+const PALETTE_MAX = 16;
+// Colour steps a gradient texture is stretched over, as many as the default palette
+const GRADIENT_LENGTH = 6;
+
+/**
+ * A palette as shader values: 2 to 16 colours in any format THREE.Color
+ * reads (Oto's "rgb(r, g, b)" strings, hex), or a gradient texture read
+ * left to right. Anything else falls back to the default palette, extra
+ * colours are dropped.
+ */
+const toPalette = palette => {
+  if (palette?.isTexture) {
+    return { colors: Array.from({ length: PALETTE_MAX }, () => new THREE.Color()), length: GRADIENT_LENGTH, map: palette };
+  }
+
+  const list = (Array.isArray(palette) && palette.length >= 2 ? palette : defaultPalette).slice(0, PALETTE_MAX);
+  // CSS colours are sRGB and the shader writes its colours as they are, undo three's conversion to linear
+  const colors = list.map(color => new THREE.Color(color).convertLinearToSRGB());
+  while (colors.length < PALETTE_MAX) colors.push(new THREE.Color());
+
+  return { colors, length: list.length, map: null };
+};
+
+// Sets one palette slot, uPalette (shown) or uPalettePrevious (fading out)
+const setPalette = (uniforms, slot, { colors, length, map }) => {
+  uniforms[slot].value = colors;
+  uniforms[`${slot}Length`].value = length;
+  uniforms[`${slot}Map`].value = map;
+  uniforms[`${slot}Gradient`].value = !!map;
+};
+
+const paletteUniforms = (slot, palette) => {
+  const uniforms = { [slot]: {}, [`${slot}Length`]: {}, [`${slot}Map`]: {}, [`${slot}Gradient`]: {} };
+  setPalette(uniforms, slot, toPalette(palette));
+  return uniforms;
+};
+
+// Step pattern state of one pointer slot, off the plane until a pointer takes it
+const createPointerState = () => ({
+  pointerId: null,
+  currentPos: new THREE.Vector2(-1, -1),
+  targetPos: new THREE.Vector2(-1, -1),
+  currentDirection: 0.0,
+  targetDirection: 0.0,
+  lastX: 0.5,
+  lastY: 0.5,
+  currentVisibility: 0.0,
+  targetVisibility: 0.0,
+  movementTimer: 0,
+  velocity: new THREE.Vector2(0, 0),
+});
+
+const Plane = ({ width, height, active, preset, palette, paletteDuration = 1.2, maxPointers = MAX_POINTERS, ...props }) => {
   const $mesh = useRef();
   const { viewport, gl: renderer } = useThree();
   const mouseIdleTime = useRef(0);
@@ -12,38 +128,32 @@ const Plane = ({ width, height, active, ...props }) => {
   const inactivityTimer = useRef(null);
   let isFadingOut = false;
   
-  // Mouse position tracking for step pattern
-  const currentMousePos = useRef(new THREE.Vector2(0.5, 0.5));
-  const targetMousePos = useRef(new THREE.Vector2(0.5, 0.5));
-  const currentMouseDirection = useRef(0.0);
-  const targetMouseDirection = useRef(0.0);
-  const lastMouseX = useRef(0.5);
-  const lastMouseY = useRef(0.5);
+  // Pointer tracking for step pattern, one entry per GPGPU slot (mouse, each finger)
+  const pointerStates = useMemo(() => Array.from({ length: maxPointers }, createPointerState), [maxPointers]);
   const currentOilSpillOffset = useRef(0.0);
   const targetOilSpillOffset = useRef(0.0);
-  const currentEffectVisibility = useRef(0.0);
-  const targetEffectVisibility = useRef(0.0);
-  const mouseMovementTimer = useRef(0);
-  const mouseVelocity = useRef(new THREE.Vector2(0, 0));
   const mouseInertiaPos = useRef(new THREE.Vector2(0.5, 0.5)); 
+  // Palette the material shows, new ones fade in from it
+  const paletteRef = useRef(palette);
+
 
+  // Defaults with the page's preset on top, pass a stable object (module constant or JSON import)
+  const look = useMemo(() => mergePreset(planeDefaults, preset).preset, [preset]);
 
   // GPGPU params
   const gpgpuParams = useMemo(
     () => ({
-      relaxation: 2.0, // Slightly higher for smoother dissipation
+      ...look.gpgpu,
       size: 4096, // Higher resolution for better quality
-      distance: 1.0, // Larger influence area
-      strengh: 2.0, // Full strength
     }),
-    []
+    [look]
   );
 
-  // Use GPGPU hook
-  const { compute, getTexture, updateMouse } = useGPGPU({
+  // Displacement simulation, see Util/Displacement
+  const { compute, isPaused, getTexture, updatePointer, releasePointer, setParams } = useDisplacement({
     renderer,
-    size: gpgpuParams.size,
     params: gpgpuParams,
+    pointers: maxPointers,
   });
 
   const shaderArgs = useMemo(
@@ -53,23 +163,27 @@ const Plane = ({ width, height, active, ...props }) => {
         uTime: { value: 0 },
         uMouseSpeed: { value: 0 },
         uResolution: { value: new THREE.Vector2(width, height) },
-        uIntensity: { value: 1.2 }, // Slightly higher intensity
-        uRGBShift: { value: 0.93 }, // More pronounced RGB shift
-        uChromaticAberration: { value: 0.95 }, // More pronounced chromatic aberration
+        uIntensity: { value: look.uniforms.uIntensity },
+        uRGBShift: { value: look.uniforms.uRGBShift },
+        uChromaticAberration: { value: look.uniforms.uChromaticAberration },
         // New uniforms for step pattern
-        uStepCount: { value: 100.0 }, // Number of steps (can be controlled)
-        uStepSize: { value: 1.0 }, // Size of each step
-        uPatternOpacity: { value: 0.75 }, // Opacity of the pattern
-        uMousePosition: { value: new THREE.Vector2(0.5, 0.5) }, // Mouse position for step pattern
-        uStepRadius: { value: 0.1 }, // Radius around mouse where steps are visible
-        uStepLerpSpeed: { value: 0.025 }, // Lerp speed for smooth mouse following
-        uMouseDirection: { value: 0.0 }, // Mouse direction (-1 to 1, negative = left, positive = right)
+        uStepCount: { value: look.uniforms.uStepCount },
+        uStepSize: { value: look.uniforms.uStepSize },
+        uPatternOpacity: { value: look.uniforms.uPatternOpacity },
+        uPointerPositions: { value: pointerStates.map(() => new THREE.Vector2(-1, -1)) }, // Pointer positions for step pattern
+        uStepRadius: { value: look.uniforms.uStepRadius },
+        uStepLerpSpeed: { value: look.uniforms.uStepLerpSpeed },
+        uPointerDirections: { value: pointerStates.map(() => 0.0) }, // Pointer directions (-1 to 1, negative = left, positive = right)
         uOilSpillOffset: { value: 0.0 }, // Offset for oil spill color flow
-        uOilSpillSpeed: { value: 0.5 }, // Speed of oil spill color flow
-        uEffectVisibility: { value: 0.5 }, // Effect visibility based on mouse movement
-        uVisibilityLerpSpeed: { value: 0.01 }, // Very slow lerp for visibility transitions
-        uMouseInertia: { value: 1.0 }, // Inertia factor for mouse movement
-        uMouseLerpSpeed: { value: 0.09 }, // Mouse position lerp speed
+        uOilSpillSpeed: { value: look.uniforms.uOilSpillSpeed },
+        uPointerVisibility: { value: pointerStates.map(() => 0.0) }, // Effect visibility based on each pointer's movement
+        uVisibilityLerpSpeed: { value: look.uniforms.uVisibilityLerpSpeed },
+        uMouseInertia: { value: look.uniforms.uMouseInertia },
+        uMouseLerpSpeed: { value: look.uniforms.uMouseLerpSpeed },
+        // Oil spill palette, crossfading from the previous one while uPaletteMix < 1
+        ...paletteUniforms("uPalette", paletteRef.current),
+        ...paletteUniforms("uPalettePrevious", paletteRef.current),
+        uPaletteMix: { value: 1.0 },
       },
       vertexShader: /* glsl */ `
         varying vec2 vUv;
@@ -87,6 +201,7 @@ const Plane = ({ width, height, active, ...props }) => {
           gl_Position = projectionMatrix * modelViewMatrix * vec4(pos, 1.0);
         }
       `,
+      defines: { POINTERS: maxPointers },
       fragmentShader: /* glsl */ `
         uniform sampler2D uDisplacementTexture;
         uniform float uTime;
@@ -98,17 +213,28 @@ const Plane = ({ width, height, active, ...props }) => {
         uniform float uStepCount;
         uniform float uStepSize;
         uniform float uPatternOpacity;
-        uniform vec2 uMousePosition;
+        uniform vec2 uPointerPositions[POINTERS];
         uniform float uStepRadius;
         uniform float uStepLerpSpeed;
-        uniform float uMouseDirection;
+        uniform float uPointerDirections[POINTERS];
         uniform float uOilSpillOffset;
         uniform float uOilSpillSpeed;
-        uniform float uEffectVisibility;
+        uniform float uPointerVisibility[POINTERS];
         uniform float uVisibilityLerpSpeed;
         uniform float uMouseInertia;
         uniform float uMouseLerpSpeed;
         
+        #define PALETTE_MAX ${PALETTE_MAX}
+        uniform vec3 uPalette[PALETTE_MAX];
+        uniform float uPaletteLength;
+        uniform sampler2D uPaletteMap;
+        uniform bool uPaletteGradient;
+        uniform vec3 uPalettePrevious[PALETTE_MAX];
+        uniform float uPalettePreviousLength;
+        uniform sampler2D uPalettePreviousMap;
+        uniform bool uPalettePreviousGradient;
+        uniform float uPaletteMix;
+        
         varying vec2 vUv;
         
         // Noise function for additional organic effects
@@ -145,28 +271,29 @@ const Plane = ({ width, height, active, ...props }) => {
           return value;
         }
         
-        // Enhanced oil spill color palette function with focus on magenta, purple, and cyan
+        // Colour t of a looping palette, one colour per unit of t
+        vec3 samplePalette(vec3 colors[PALETTE_MAX], float count, bool gradient, sampler2D map, float t) {
+          float normalizedT = mod(t, count);
+          
+          if (gradient) return texture(map, vec2(normalizedT / count, 0.5)).rgb;
+          
+          // Create smooth transitions between colors, the last one back to the first
+          int index = int(floor(normalizedT));
+          int next = int(mod(float(index + 1), count));
+          return mix(colors[index], colors[next], fract(normalizedT));
+        }
+        
+        // Enhanced oil spill color palette function
         vec3 oilSpillColor(float t) {
-          // Focus on magenta, purple, and deep cyan
-          vec3 color1 = vec3(1.0, 0.1, 0.9);   // Bright magenta
-          vec3 color2 = vec3(0.4, 0.1, 1.0);   // Deep purple
-          vec3 color3 = vec3(0.1, 0.8, 1.0);   // Deep cyan
-          vec3 color4 = vec3(0.8, 0.2, 1.0);   // Magenta-purple
-          vec3 color5 = vec3(0.2, 0.6, 1.0);   // Purple-cyan
-          vec3 color6 = vec3(1.0, 0.3, 0.8);   // Bright magenta-pink
+          float cycle = t + uOilSpillOffset;
           
-          // Create smooth transitions between colors
-          float normalizedT = mod(t + uOilSpillOffset, 6.0);
-          float index = floor(normalizedT);
-          float fract = normalizedT - index;
+          vec3 color = samplePalette(uPalette, uPaletteLength, uPaletteGradient, uPaletteMap, cycle);
           
-          vec3 color;
-          if (index == 0.0) color = mix(color1, color2, fract);
-          else if (index == 1.0) color = mix(color2, color3, fract);
-          else if (index == 2.0) color = mix(color3, color4, fract);
-          else if (index == 3.0) color = mix(color4, color5, fract);
-          else if (index == 4.0) color = mix(color5, color6, fract);
-          else color = mix(color6, color1, fract);
+          // Fade in from the previous palette after a change
+          if (uPaletteMix < 1.0) {
+            vec3 previous = samplePalette(uPalettePrevious, uPalettePreviousLength, uPalettePreviousGradient, uPalettePreviousMap, cycle);
+            color = mix(previous, color, uPaletteMix);
+          }
           
           // Enhanced iridescent shimmer
           float shimmer = sin(t * 25.0 + uTime * 0.8) * 0.15 + 0.85;
@@ -175,16 +302,18 @@ const Plane = ({ width, height, active, ...props }) => {
           return color;
         }
         
-        // Fluid glass step pattern function
+        // Fluid glass step pattern function, under every visible pointer
         vec4 createStepPattern(vec2 uv) {
-          // Calculate distance from current pixel to mouse position
-          float distanceToMouse = distance(uv, uMousePosition);
-          
-          // Create a smooth falloff based on radius
-          float falloff = 1.0 - smoothstep(0.0, uStepRadius, distanceToMouse);
+          // Create a smooth falloff based on radius around each pointer
+          float falloffs[POINTERS];
+          float reach = 0.0;
+          for (int i = 0; i < POINTERS; i++) {
+            falloffs[i] = 1.0 - smoothstep(0.0, uStepRadius, distance(uv, uPointerPositions[i]));
+            if (uPointerVisibility[i] > 0.0) reach = max(reach, falloffs[i]);
+          }
           
           // Only show steps within the radius
-          if (falloff <= 0.0) {
+          if (reach <= 0.0) {
             return vec4(0.0, 0.0, 0.0, 0.0); // Transparent outside radius
           }
           
@@ -219,49 +348,61 @@ const Plane = ({ width, height, active, ...props }) => {
           vec3 fluidOilSpill = mix(oilSpillColor1, oilSpillColor2, animatedNoise1);
           fluidOilSpill = mix(fluidOilSpill, oilSpillColor3, splatterNoise1);
           
-          // Flip the step direction based on mouse movement
-          float adjustedStepPosition = stepPosition;
-          if (uMouseDirection > 0.0) {
-            adjustedStepPosition = 1.0 - stepPosition;
-          }
-          
-          // Calculate glass brightness (how close to white)
-          float glassBrightness = 1.0 - adjustedStepPosition; // 1.0 = white, 0.0 = dark
-          
-          // Create chromatic aberration at step edges
-          float edgeThreshold = 0.15; // How much of the step edge gets chromatic aberration
-          float edgeFactor = smoothstep(0.0, edgeThreshold, glassBrightness) * smoothstep(1.0, 1.0 - edgeThreshold, glassBrightness);
-          
           // Create chromatic aberration colors
           vec3 chromaticRed = oilSpillColor(uTime * 0.3 + fluidFlow * 2.0);
           vec3 chromaticGreen = oilSpillColor(uTime * 0.3 + fluidFlow * 2.0 + 0.5);
           vec3 chromaticBlue = oilSpillColor(uTime * 0.3 + fluidFlow * 2.0 + 1.0);
           
-          // Create the step color: fluid oil spill for bright areas, transparent for dark areas
-          vec3 stepColor;
-          float alpha;
+          // Each pointer lights its own steps, the brightest wins where they overlap
+          vec4 pattern = vec4(0.0);
           
-          if (glassBrightness > 0.05) {
-            // Bright areas: use fluid oil spill colors
-            stepColor = fluidOilSpill;
-            alpha = glassBrightness * uEffectVisibility; // Fade based on visibility
+          for (int i = 0; i < POINTERS; i++) {
+            float falloff = falloffs[i];
+            float visibility = uPointerVisibility[i];
+            if (falloff <= 0.0 || visibility <= 0.0) continue;
+            
+            // Flip the step direction based on pointer movement
+            float adjustedStepPosition = stepPosition;
+            if (uPointerDirections[i] > 0.0) {
+              adjustedStepPosition = 1.0 - stepPosition;
+            }
+            
+            // Calculate glass brightness (how close to white)
+            float glassBrightness = 1.0 - adjustedStepPosition; // 1.0 = white, 0.0 = dark
+            
+            // Create chromatic aberration at step edges
+            float edgeThreshold = 0.15; // How much of the step edge gets chromatic aberration
+            float edgeFactor = smoothstep(0.0, edgeThreshold, glassBrightness) * smoothstep(1.0, 1.0 - edgeThreshold, glassBrightness);
+            
+            // Create the step color: fluid oil spill for bright areas, transparent for dark areas
+            vec3 stepColor;
+            float alpha;
             
-            // Add chromatic aberration at edges
-            float chromaticStrength = edgeFactor * 0.8;
-            stepColor = mix(stepColor, chromaticRed, chromaticStrength * 0.3);
-            stepColor = mix(stepColor, chromaticGreen, chromaticStrength * 0.3);
-            stepColor = mix(stepColor, chromaticBlue, chromaticStrength * 0.4);
-          } else {
-            // Dark areas: transparent
-            stepColor = vec3(0.0, 0.0, 0.0);
-            alpha = 0.0;
+            if (glassBrightness > 0.05) {
+              // Bright areas: use fluid oil spill colors
+              stepColor = fluidOilSpill;
+              alpha = glassBrightness * visibility; // Fade based on visibility
+              
+              // Add chromatic aberration at edges
+              float chromaticStrength = edgeFactor * 0.8;
+              stepColor = mix(stepColor, chromaticRed, chromaticStrength * 0.3);
+              stepColor = mix(stepColor, chromaticGreen, chromaticStrength * 0.3);
+              stepColor = mix(stepColor, chromaticBlue, chromaticStrength * 0.4);
+            } else {
+              // Dark areas: transparent
+              stepColor = vec3(0.0, 0.0, 0.0);
+              alpha = 0.0;
+            }
+            
+            // Add subtle fluid texture
+            stepColor += fluidFlow * 0.03 * visibility;
+            
+            // Apply falloff to make it fade out at the edges
+            vec4 pointerPattern = vec4(stepColor * falloff, alpha * falloff);
+            if (pointerPattern.a > pattern.a) pattern = pointerPattern;
           }
           
-          // Add subtle fluid texture
-          stepColor += fluidFlow * 0.03 * uEffectVisibility;
-          
-          // Apply falloff to make it fade out at the edges
-          return vec4(stepColor * falloff, alpha * falloff);
+          return pattern;
         }
         
         void main() {
@@ -286,9 +427,37 @@ const Plane = ({ width, height, active, ...props }) => {
         }
       `,
     }),
-    [width, height]
+    [width, height, look, pointerStates]
   );
 
+  // ?debug panel: uniforms are read every frame, simulation params go through the hook
+  useTweaks("Plane", {
+    controls: planeControls,
+    values: look,
+    apply: (group, name, value) => {
+      if (group === "gpgpu") setParams({ [name]: value });
+      else shaderArgs.uniforms[name].value = value;
+    },
+  });
+
+  // A new palette fades in from what's on screen, a change mid-fade starts from its target
+  useEffect(() => {
+    if (paletteRef.current === palette) return;
+    paletteRef.current = palette;
+
+    const { uniforms } = shaderArgs;
+    setPalette(uniforms, "uPalettePrevious", {
+      colors: uniforms.uPalette.value,
+      length: uniforms.uPaletteLength.value,
+      map: uniforms.uPaletteMap.value,
+    });
+    setPalette(uniforms, "uPalette", toPalette(palette));
+    uniforms.uPaletteMix.value = 0;
+
+    const tween = gsap.to(uniforms.uPaletteMix, { value: 1, duration: paletteDuration, ease: "power2.inOut" });
+    return () => tween.kill();
+  }, [palette]);
+
   useEffect(() => {
     document.body.style.cursor = hovered ? 'pointer' : 'auto'
   }, [hovered])
@@ -298,94 +467,120 @@ const Plane = ({ width, height, active, ...props }) => {
     setHovered(true)
   };
 
+  // A pointer that leaves or lifts fades out and frees its slot
+  const releaseStep = event => {
+    const slot = releasePointer(event.pointerId);
+    if (slot < 0) return;
+
+    pointerStates[slot].pointerId = null;
+    pointerStates[slot].targetVisibility = 0.0;
+  };
+
   // Fade out to volume 0 on mouse leave to avoid popping
-  const handlePointerLeave = () => {
+  const handlePointerLeave = event => {
     setHovered(false)
+    releaseStep(event);
   };
 
-  // Handle mouse move over the plane to update the GPGPU texture
+  // Fingers and pens are gone once lifted, a mouse is still hovering
+  const handlePointerUp = event => {
+    if (event.pointerType !== "mouse") releaseStep(event);
+  };
+
+  // Handle pointer moves over the plane to update the GPGPU texture, each pointer on its own
   const handlePointerMove = event => {
-    const uv = event.uv; // UV coordinates of the mouse over the plane
+    const uv = event.uv; // UV coordinates of the pointer over the plane
     if (uv) {
-      updateMouse(uv); // Update GPGPU state with the mouse position
+      const slot = updatePointer(uv, event.pointerId); // Update GPGPU state with the pointer position
+      const pointer = pointerStates[slot];
+      if (!pointer) return;
+      
+      // A new pointer in this slot starts where it is, not where the last one was
+      if (pointer.pointerId !== event.pointerId) {
+        pointer.pointerId = event.pointerId;
+        pointer.currentPos.set(uv.x, uv.y);
+        pointer.currentDirection = 0.0;
+        pointer.lastX = uv.x;
+        pointer.lastY = uv.y;
+      }
       
-      // Calculate mouse velocity and direction
-      const mouseDeltaX = uv.x - lastMouseX.current;
-      const mouseDeltaY = uv.y - lastMouseY.current;
-      const currentMousePos = new THREE.Vector2(uv.x, uv.y);
+      // Calculate pointer velocity and direction
+      const mouseDeltaX = uv.x - pointer.lastX;
+      const mouseDeltaY = uv.y - pointer.lastY;
       
       // Update velocity with inertia (smoother)
       const inertiaFactor = shaderArgs.uniforms.uMouseInertia.value;
       const newVelocity = new THREE.Vector2(mouseDeltaX * 10, mouseDeltaY * 10); // Amplify velocity
-      mouseVelocity.current.lerp(newVelocity, 1.0 - inertiaFactor);
+      pointer.velocity.lerp(newVelocity, 1.0 - inertiaFactor);
       
-      // Calculate mouse speed
+      // Calculate pointer speed
       const mouseSpeed = Math.sqrt(mouseDeltaX * mouseDeltaX + mouseDeltaY * mouseDeltaY);
       
       // Apply target position directly
-      targetMousePos.current.copy(currentMousePos);
+      pointer.targetPos.set(uv.x, uv.y);
       
-      // Update mouse direction
-      targetMouseDirection.current = Math.sign(mouseDeltaX);
-      lastMouseX.current = uv.x;
-      lastMouseY.current = uv.y;
+      // Update pointer direction
+      pointer.targetDirection = Math.sign(mouseDeltaX);
+      pointer.lastX = uv.x;
+      pointer.lastY = uv.y;
       
-      // Update oil spill offset based on mouse movement
+      // Update oil spill offset based on any pointer's movement
       targetOilSpillOffset.current += mouseSpeed * 0.1;
       
-      // Update effect visibility based on mouse movement
-      targetEffectVisibility.current = 1.0;
-      mouseMovementTimer.current = 0;
+      // Update effect visibility based on pointer movement
+      pointer.targetVisibility = 1.0;
+      pointer.movementTimer = 0;
     }
   };
 
-  useFrame(({ clock }) => {
-    compute();
+  useFrame(({ clock }, frameDelta) => {
+    // Nothing to simulate while the canvas is offscreen or the tab hidden
+    if (isPaused()) return;
+
+    // Lerp speeds are per frame at 60fps, frameLerp scales them to this frame
+    const delta = Math.min(frameDelta, MAX_DELTA);
+    compute(delta);
     
     if ($mesh.current && $mesh.current.material) {
       $mesh.current.material.uniforms.uDisplacementTexture.value = getTexture();
       $mesh.current.material.uniforms.uTime.value = clock.getElapsedTime();
       
-      // Lerp mouse position for smooth following with controlled speed
-      const mouseLerpSpeed = shaderArgs.uniforms.uMouseLerpSpeed.value;
-      currentMousePos.current.lerp(targetMousePos.current, mouseLerpSpeed);
-      
-      // Lerp mouse direction for smooth transitions
-      currentMouseDirection.current = THREE.MathUtils.lerp(
-        currentMouseDirection.current, 
-        targetMouseDirection.current, 
-        mouseLerpSpeed
-      );
-      
       // Lerp oil spill offset for slow flowing effect
       const oilSpillLerpSpeed = shaderArgs.uniforms.uOilSpillSpeed.value;
       currentOilSpillOffset.current = THREE.MathUtils.lerp(
         currentOilSpillOffset.current,
         targetOilSpillOffset.current,
-        oilSpillLerpSpeed
+        frameLerp(oilSpillLerpSpeed, delta)
       );
+      $mesh.current.material.uniforms.uOilSpillOffset.value = currentOilSpillOffset.current;
       
-      // Handle mouse movement timer and effect visibility
-      mouseMovementTimer.current += 0.016; // ~60fps
+      const mouseLerp = frameLerp(shaderArgs.uniforms.uMouseLerpSpeed.value, delta);
+      const visibilityLerp = frameLerp(shaderArgs.uniforms.uVisibilityLerpSpeed.value, delta);
       const mouseIdleThreshold = 0.5; // 0.5 seconds of no movement
+      const { uPointerPositions, uPointerDirections, uPointerVisibility } = $mesh.current.material.uniforms;
       
-      if (mouseMovementTimer.current > mouseIdleThreshold) {
-        targetEffectVisibility.current = 0.0; // Hide effect when mouse stops moving
-      }
-      
-      // Lerp effect visibility for smooth transitions
-      const visibilityLerpSpeed = shaderArgs.uniforms.uVisibilityLerpSpeed.value;
-      currentEffectVisibility.current = THREE.MathUtils.lerp(
-        currentEffectVisibility.current,
-        targetEffectVisibility.current,
-        visibilityLerpSpeed
-      );
-      
-      // Update shader uniforms
-      $mesh.current.material.uniforms.uMousePosition.value.copy(currentMousePos.current);
-      $mesh.current.material.uniforms.uMouseDirection.value = currentMouseDirection.current;
-      $mesh.current.material.uniforms.uOilSpillOffset.value = currentOilSpillOffset.current;
-      $mesh.current.material.uniforms.uEffectVisibility.value = currentEffectVisibility.current;
+      pointerStates.forEach((pointer, slot) => {
+        // Lerp pointer position for smooth following with controlled speed
+        pointer.currentPos.lerp(pointer.targetPos, mouseLerp);
+        
+        // Lerp pointer direction for smooth transitions
+        pointer.currentDirection = THREE.MathUtils.lerp(pointer.currentDirection, pointer.targetDirection, mouseLerp);
+        
+        // Handle pointer movement timer and effect visibility
+        pointer.movementTimer += delta;
+        
+        if (pointer.movementTimer > mouseIdleThreshold) {
+          pointer.targetVisibility = 0.0; // Hide effect when the pointer stops moving
+        }
+        
+        // Lerp effect visibility for smooth transitions
+        pointer.currentVisibility = THREE.MathUtils.lerp(pointer.currentVisibility, pointer.targetVisibility, visibilityLerp);
+        
+        // Update shader uniforms
+        uPointerPositions.value[slot].copy(pointer.currentPos);
+        uPointerDirections.value[slot] = pointer.currentDirection;
+        uPointerVisibility.value[slot] = pointer.currentVisibility;
+      });
     }
   });
 
@@ -397,6 +592,7 @@ const Plane = ({ width, height, active, ...props }) => {
       onPointerMove={handlePointerMove} 
       onPointerEnter={handlePointerEnter} 
       onPointerLeave={handlePointerLeave}
+      onPointerUp={handlePointerUp}
     >
       <planeGeometry args={[width, height, 64, 64]} />
       <shaderMaterial args={[shaderArgs]} transparent={true} />
@@ -1,18 +1,45 @@
-// import { OrbitControls } from "@react-three/drei";
-// import { Canvas } from "@react-three/fiber";
-// import React from "react";
+import React, { useEffect, useRef } from "react";
+import { Canvas, useFrame } from "@react-three/fiber";
+import gsap from "gsap";
 
-// const Scene = () => {
-//   return (
-//     <Canvas>
-//       <ambientLight intensity={1} />
-//       <mesh>
-//         <boxGeometry />
-//         <meshStandardMaterial />
-//       </mesh>
-//       {/* <OrbitControls /> */}
-//     </Canvas>
-//   );
-// };
+// Geometry shown for each About slide
+const shapes = {
+  icosahedron: <icosahedronGeometry args={[1.4, 1]} />,
+  torusKnot: <torusKnotGeometry args={[0.9, 0.3, 128, 16]} />,
+  octahedron: <octahedronGeometry args={[1.5, 0]} />,
+  torus: <torusGeometry args={[1.1, 0.4, 24, 64]} />,
+};
 
-// export default Scene;
+const Shape = ({ shape }) => {
+  const $mesh = useRef();
+
+  useFrame((_, delta) => {
+    if (!$mesh.current) return;
+    $mesh.current.rotation.x += delta * 0.2;
+    $mesh.current.rotation.y += delta * 0.3;
+  });
+
+  // Pop the new shape in whenever the slide changes
+  useEffect(() => {
+    if (!$mesh.current) return;
+    gsap.fromTo($mesh.current.scale, { x: 0, y: 0, z: 0 }, { x: 1, y: 1, z: 1, duration: 1, ease: "elastic.out(0.5, 0.25)" });
+  }, [shape]);
+
+  return (
+    <mesh ref={$mesh}>
+      {shapes[shape] || shapes.icosahedron}
+      <meshNormalMaterial wireframe />
+    </mesh>
+  );
+};
+
+const Scene = ({ shape }) => {
+  return (
+    <Canvas camera={{ position: [0, 0, 4], fov: 50 }}>
+      <ambientLight intensity={1} />
+      <Shape shape={shape} />
+    </Canvas>
+  );
+};
+
+export default Scene;
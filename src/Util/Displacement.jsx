@@ -0,0 +1,186 @@
+import { useMemo } from "react";
+import useGPGPU, { MAX_POINTERS } from "./Gpgpu";
+
+// Pointer-driven displacement field: rg push, b RGB shift, a influence.
+// useGPGPU declares uTime, uDeltaTime and the pointer uniforms.
+const displacementShader = /* glsl */ `
+uniform float uRelaxation;
+uniform float uDistance;
+uniform float uStrength;
+
+// Noise function for organic movement
+float noise(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+}
+
+// Smooth noise
+float smoothNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+    
+    float a = noise(i);
+    float b = noise(i + vec2(1.0, 0.0));
+    float c = noise(i + vec2(0.0, 1.0));
+    float d = noise(i + vec2(1.0, 1.0));
+    
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+}
+
+// Fractal noise
+float fractalNoise(vec2 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    float frequency = 1.0;
+    
+    for(int i = 0; i < 4; i++) {
+        value += amplitude * smoothNoise(p * frequency);
+        amplitude *= 0.5;
+        frequency *= 2.0;
+    }
+    
+    return value;
+}
+
+// One pointer's displacement on this pixel, its influence in z
+vec3 pointerDisplacement(vec2 uv, vec2 pointer, vec2 deltaPointer, float pointerSpeed) {
+    // Calculate distance from pointer
+    float dist = distance(uv, pointer);
+    float influence = 1.0 - smoothstep(0.0, uDistance/resolution.x, dist);
+    
+    // Create vertical line displacement effect
+    float verticalDisplacement = 0.0;
+    
+    // Only apply displacement in vertical direction (Y-axis)
+    if (influence > 0.0) {
+        // Create vertical line effect based on pointer speed
+        float lineWidth = 0.008; // Thinner line for more precise effect
+        float lineIntensity = pointerSpeed * 0.3; // Increased intensity
+        
+        // Check if we're within the vertical line area
+        float lineDistance = abs(uv.x - pointer.x);
+        if (lineDistance < lineWidth) {
+            // Create smooth vertical displacement with more organic movement
+            float verticalNoise = fractalNoise(vec2(uv.y * 15.0, uTime * 0.3));
+            verticalDisplacement = verticalNoise * lineIntensity * influence;
+            
+            // Add wave-like movement that follows pointer direction
+            float waveMovement = sin(uv.y * 25.0 + uTime * 1.5) * cos(uv.y * 12.0 + uTime * 0.8);
+            verticalDisplacement += waveMovement * lineIntensity * influence * 0.5;
+            
+            // Add some turbulence for more organic feel
+            float turbulence = fractalNoise(vec2(uv.y * 8.0 + uTime * 0.2, uTime * 0.1));
+            verticalDisplacement += turbulence * lineIntensity * influence * 0.3;
+        }
+        
+        // Create trailing effect - displacement follows pointer movement
+        float trailingWidth = lineWidth * 3.0;
+        float trailingDistance = abs(uv.x - pointer.x);
+        if (trailingDistance < trailingWidth && trailingDistance > lineWidth) {
+            float trailingIntensity = (1.0 - (trailingDistance - lineWidth) / (trailingWidth - lineWidth)) * lineIntensity * 0.3;
+            float trailingNoise = fractalNoise(vec2(uv.y * 10.0, uTime * 0.4));
+            verticalDisplacement += trailingNoise * trailingIntensity * influence;
+        }
+    }
+    
+    // Fluid motion tracking - displacement follows pointer direction
+    vec2 fluidDirection = deltaPointer * 1.0; // Increased fluid responsiveness
+    float fluidStrength = length(fluidDirection) * influence;
+    
+    // Combine vertical displacement with fluid motion
+    vec2 totalDisplacement = vec2(0.0, verticalDisplacement);
+    totalDisplacement += fluidDirection * fluidStrength;
+    
+    // Add enhanced turbulence based on pointer speed
+    float turbulence = pointerSpeed * 0.08;
+    vec2 turbulenceOffset = vec2(
+        fractalNoise(vec2(uv.x * 8.0 + uTime * 0.2, uv.y * 8.0)),
+        fractalNoise(vec2(uv.x * 8.0, uv.y * 8.0 + uTime * 0.2))
+    ) * turbulence * influence;
+    
+    totalDisplacement += turbulenceOffset;
+    
+    // Add velocity-based displacement for more dynamic effect, still pointers have no direction
+    float velocityDisplacement = length(deltaPointer) * 0.2;
+    if (velocityDisplacement > 0.0) {
+        totalDisplacement += normalize(deltaPointer) * velocityDisplacement * influence;
+    }
+    
+    return vec3(totalDisplacement, influence);
+}
+
+void main() {
+    vec2 uv = gl_FragCoord.xy/resolution.xy;
+    
+    // Get previous state
+    vec4 color = texture(uGrid, uv);
+    
+    // Every pointer adds its own displacement, the strongest influence persists
+    vec2 totalDisplacement = vec2(0.0);
+    float influence = 0.0;
+    for (int i = 0; i < POINTERS; i++) {
+        vec3 pointer = pointerDisplacement(uv, uPointers[i], uDeltaPointers[i], uPointerSpeeds[i]);
+        totalDisplacement += pointer.xy;
+        influence = max(influence, pointer.z);
+    }
+    
+    // Reference frames this step lasts, everything below was tuned per frame
+    float frames = uDeltaTime * REFERENCE_FPS;
+    
+    // Update the displacement values
+    color.rg += totalDisplacement * uStrength * frames;
+    
+    // Add RGB shift information to blue channel
+    color.b = length(totalDisplacement) * 2.0;
+    
+    // Relaxation - gradually return to rest state
+    float relaxation = pow(uRelaxation, frames);
+    color.rg *= relaxation;
+    color.b *= relaxation;
+    
+    // Add some persistence for fluid effect
+    color.a = mix(color.a, influence, 1.0 - pow(0.9, frames));
+    
+    gl_FragColor = color;
+}
+`;
+
+/**
+ * The displacement simulation behind the Dorian plane and the projects
+ * carousel, one `uGrid` variable driven by every pointer.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {Object} options.params - relaxation, distance, strengh and size (cells)
+ * @param {number} [options.pointers]
+ */
+const useDisplacement = ({ renderer, params, pointers = MAX_POINTERS }) => {
+  const variables = useMemo(
+    () => ({
+      uGrid: {
+        shader: displacementShader,
+        pointers: true,
+        uniforms: {
+          uRelaxation: { value: params.relaxation },
+          uDistance: { value: params.distance * 10 },
+          uStrength: { value: params.strengh },
+        },
+      },
+    }),
+    [params]
+  );
+
+  const simulation = useGPGPU({ renderer, size: params.size, variables, pointers });
+
+  // Live edits (tweak panel), without rebuilding the simulation
+  const setParams = ({ relaxation, distance, strengh }) =>
+    simulation.setUniforms("uGrid", {
+      uRelaxation: relaxation,
+      uDistance: distance === undefined ? undefined : distance * 10,
+      uStrength: strengh,
+    });
+
+  return { ...simulation, setParams };
+};
+
+export default useDisplacement;
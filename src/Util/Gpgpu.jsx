@@ -1,216 +1,319 @@
 import * as THREE from "three";
-import { useRef, useEffect, useMemo } from "react";
+import { useRef, useEffect } from "react";
 import { GPUComputationRenderer } from "three/addons/misc/GPUComputationRenderer.js";
 
-const fragmentShader = `
-uniform vec2 uMouse;
-uniform vec2 uDeltaMouse;
-uniform float uMouseSpeed;
-uniform float uTime;
-uniform float uGridSize;
-uniform float uRelaxation;
-uniform float uDistance;
+// Pointers (mouse, fingers, pens) tracked at once by default
+export const MAX_POINTERS = 4;
 
-// Noise function for organic movement
-float noise(vec2 p) {
-    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
-}
+// The effect was tuned one step per frame at 60fps, steps are scaled to that
+export const REFERENCE_FPS = 60;
+// Longest step, a frame after a stall or a hidden tab would jump otherwise
+export const MAX_DELTA = 0.1;
 
-// Smooth noise
-float smoothNoise(vec2 p) {
-    vec2 i = floor(p);
-    vec2 f = fract(p);
-    f = f * f * (3.0 - 2.0 * f);
-    
-    float a = noise(i);
-    float b = noise(i + vec2(1.0, 0.0));
-    float c = noise(i + vec2(0.0, 1.0));
-    float d = noise(i + vec2(1.0, 1.0));
-    
-    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
-}
+/**
+ * A lerp factor tuned per frame at 60fps, for a frame of `delta` seconds,
+ * so smoothing takes as long at 30 or 120fps.
+ */
+export const frameLerp = (factor, delta) => 1 - Math.pow(1 - factor, delta * REFERENCE_FPS);
 
-// Fractal noise
-float fractalNoise(vec2 p) {
-    float value = 0.0;
-    float amplitude = 0.5;
-    float frequency = 1.0;
-    
-    for(int i = 0; i < 4; i++) {
-        value += amplitude * smoothNoise(p * frequency);
-        amplitude *= 0.5;
-        frequency *= 2.0;
-    }
-    
-    return value;
-}
+/**
+ * @typedef {Object} SimulationVariable
+ * @property {string} shader - Fragment shader writing the variable's next state to gl_FragColor.
+ *   It already has `resolution` (grid size), a sampler per dependency named after it,
+ *   uTime, uDeltaTime, REFERENCE_FPS and, with `pointers`, the pointer uniforms.
+ * @property {string[]} [dependencies] - Variables it samples, itself included to read its
+ *   previous state. Defaults to itself.
+ * @property {Object<string, { value: * }>} [uniforms] - Its own uniforms, used as they are, so
+ *   build a new definition per hook (in a useMemo).
+ * @property {boolean} [pointers] - Receives pointer input: POINTERS, uPointers (uv),
+ *   uDeltaPointers (uv moved since the last event) and uPointerSpeeds, one slot per pointer.
+ * @property {(data: Float32Array, side: number) => void} [initial] - Fills the starting state,
+ *   RGBA per cell, zeros otherwise.
+ *
+ * @typedef {Object<string, SimulationVariable>} SimulationVariables - By name, the first one
+ *   is the default for getTexture and the read helpers.
+ */
 
-void main() {
-    vec2 uv = gl_FragCoord.xy/resolution.xy;
-    
-    // Get previous state
-    vec4 color = texture(uGrid, uv);
-    
-    // Calculate distance from mouse
-    float dist = distance(uv, uMouse);
-    float influence = 1.0 - smoothstep(0.0, uDistance/uGridSize, dist);
-    
-    // Create vertical line displacement effect
-    float verticalDisplacement = 0.0;
-    
-    // Only apply displacement in vertical direction (Y-axis)
-    if (influence > 0.0) {
-        // Create vertical line effect based on mouse speed
-        float lineWidth = 0.008; // Thinner line for more precise effect
-        float lineIntensity = uMouseSpeed * 0.3; // Increased intensity
-        
-        // Check if we're within the vertical line area
-        float lineDistance = abs(uv.x - uMouse.x);
-        if (lineDistance < lineWidth) {
-            // Create smooth vertical displacement with more organic movement
-            float verticalNoise = fractalNoise(vec2(uv.y * 15.0, uTime * 0.3));
-            verticalDisplacement = verticalNoise * lineIntensity * influence;
-            
-            // Add wave-like movement that follows mouse direction
-            float waveMovement = sin(uv.y * 25.0 + uTime * 1.5) * cos(uv.y * 12.0 + uTime * 0.8);
-            verticalDisplacement += waveMovement * lineIntensity * influence * 0.5;
-            
-            // Add some turbulence for more organic feel
-            float turbulence = fractalNoise(vec2(uv.y * 8.0 + uTime * 0.2, uTime * 0.1));
-            verticalDisplacement += turbulence * lineIntensity * influence * 0.3;
-        }
-        
-        // Create trailing effect - displacement follows mouse movement
-        float trailingWidth = lineWidth * 3.0;
-        float trailingDistance = abs(uv.x - uMouse.x);
-        if (trailingDistance < trailingWidth && trailingDistance > lineWidth) {
-            float trailingIntensity = (1.0 - (trailingDistance - lineWidth) / (trailingWidth - lineWidth)) * lineIntensity * 0.3;
-            float trailingNoise = fractalNoise(vec2(uv.y * 10.0, uTime * 0.4));
-            verticalDisplacement += trailingNoise * trailingIntensity * influence;
-        }
-    }
-    
-    // Fluid motion tracking - displacement follows mouse direction
-    vec2 fluidDirection = uDeltaMouse * 1.0; // Increased fluid responsiveness
-    float fluidStrength = length(fluidDirection) * influence;
-    
-    // Combine vertical displacement with fluid motion
-    vec2 totalDisplacement = vec2(0.0, verticalDisplacement);
-    totalDisplacement += fluidDirection * fluidStrength;
-    
-    // Add enhanced turbulence based on mouse speed
-    float turbulence = uMouseSpeed * 0.08;
-    vec2 turbulenceOffset = vec2(
-        fractalNoise(vec2(uv.x * 8.0 + uTime * 0.2, uv.y * 8.0)),
-        fractalNoise(vec2(uv.x * 8.0, uv.y * 8.0 + uTime * 0.2))
-    ) * turbulence * influence;
-    
-    totalDisplacement += turbulenceOffset;
-    
-    // Add velocity-based displacement for more dynamic effect
-    float velocityDisplacement = length(uDeltaMouse) * 0.2;
-    vec2 velocityOffset = normalize(uDeltaMouse) * velocityDisplacement * influence;
-    totalDisplacement += velocityOffset;
-    
-    // Update the displacement values
-    color.rg += totalDisplacement;
-    
-    // Add RGB shift information to blue channel
-    color.b = length(totalDisplacement) * 2.0;
-    
-    // Relaxation - gradually return to rest state
-    color.rg *= uRelaxation;
-    color.b *= uRelaxation;
-    
-    // Add some persistence for fluid effect
-    color.a = mix(color.a, influence, 0.1);
-    
-    gl_FragColor = color;
+// Declarations every variable's shader gets ahead of its own code
+const builtinShader = withPointers => /* glsl */ `
+uniform float uTime;
+uniform float uDeltaTime;
+${
+  withPointers
+    ? `// One slot per pointer, free ones sit off the grid
+uniform vec2 uPointers[POINTERS];
+uniform vec2 uDeltaPointers[POINTERS];
+uniform float uPointerSpeeds[POINTERS];`
+    : ""
 }
 `;
 
-const useGPGPU = ({ renderer, size, params }) => {
+const pointerUniforms = count => ({
+  uPointers: { value: Array.from({ length: count }, () => new THREE.Vector2(-1, -1)) },
+  uDeltaPointers: { value: Array.from({ length: count }, () => new THREE.Vector2(0, 0)) },
+  uPointerSpeeds: { value: new Array(count).fill(0) },
+});
+
+/**
+ * Ping-pong GPU simulation of one or more interdependent variables
+ * (velocity, pressure, dye…), each a float texture of `size` cells.
+ * Pass `variables` through a useMemo, a new object rebuilds the simulation.
+ * Pauses while its canvas is off screen or the tab is hidden, callers skip
+ * their own per-frame work with isPaused.
+ *
+ * @param {Object} options
+ * @param {THREE.WebGLRenderer} options.renderer
+ * @param {number} options.size - Cells, the grid is its square root on each side
+ * @param {SimulationVariables} options.variables
+ * @param {number} [options.pointers] - Pointers tracked at once, the oldest gives its slot to a new one
+ */
+const useGPGPU = ({ renderer, size, variables, pointers = MAX_POINTERS }) => {
   const gpgpuRef = useRef(null);
-  const variableRef = useRef(null);
-  const sizeRef = useRef(Math.ceil(Math.sqrt(size)));
-  const timeRef = useRef(0);
-  const dataTextureRef = useRef(null);
-  const lastMousePos = useRef(new THREE.Vector2(0, 0));
-  const mouseSpeed = useRef(0);
+  // name -> GPUComputationRenderer variable
+  const variablesRef = useRef({});
+  const side = Math.ceil(Math.sqrt(size));
+  const defaultName = Object.keys(variables)[0];
+  // pointerId -> { slot, last position, last update }
+  const pointersRef = useRef(new Map());
+  // Paused while the canvas is scrolled away or the tab is hidden
+  const pausedRef = useRef(false);
+
+  useEffect(() => {
+    let onScreen = true;
+    const update = () => (pausedRef.current = !onScreen || document.hidden);
+
+    const observer = new IntersectionObserver(([entry]) => {
+      onScreen = entry.isIntersecting;
+      update();
+    });
+    observer.observe(renderer.domElement);
+    document.addEventListener("visibilitychange", update);
+    update();
+
+    return () => {
+      observer.disconnect();
+      document.removeEventListener("visibilitychange", update);
+    };
+  }, [renderer]);
 
   useEffect(() => {
     // Initialize GPUComputationRenderer
-    const gpgpuRenderer = new GPUComputationRenderer(sizeRef.current, sizeRef.current, renderer);
-    gpgpuRef.current = gpgpuRenderer;
+    const gpgpuRenderer = new GPUComputationRenderer(side, side, renderer);
+    const created = {};
+
+    // Add every variable first, dependencies can point either way
+    Object.entries(variables).forEach(([name, { shader, uniforms = {}, pointers: withPointers, initial }]) => {
+      const texture = gpgpuRenderer.createTexture();
+      initial?.(texture.image.data, side);
 
-    // Create initial DataTexture
-    const dataTexture = gpgpuRenderer.createTexture();
-    dataTextureRef.current = dataTexture;
+      const variable = gpgpuRenderer.addVariable(name, builtinShader(withPointers) + shader, texture);
+      const { material } = variable;
+      material.defines.REFERENCE_FPS = REFERENCE_FPS.toFixed(1);
+      Object.assign(material.uniforms, { uTime: { value: 0 }, uDeltaTime: { value: 1 / REFERENCE_FPS } }, uniforms);
 
-    // Add variable
-    const variable = gpgpuRenderer.addVariable("uGrid", fragmentShader, dataTexture);
-    variable.material.uniforms.uTime = { value: 0 };
-    variable.material.uniforms.uRelaxation = { value: params.relaxation };
-    variable.material.uniforms.uGridSize = { value: sizeRef.current };
-    variable.material.uniforms.uMouse = { value: new THREE.Vector2(0.5, 0.5) };
-    variable.material.uniforms.uDeltaMouse = { value: new THREE.Vector2(0, 0) };
-    variable.material.uniforms.uMouseSpeed = { value: 0 };
-    variable.material.uniforms.uDistance = { value: params.distance * 10 };
+      if (withPointers) {
+        material.defines.POINTERS = pointers;
+        Object.assign(material.uniforms, pointerUniforms(pointers));
+      }
 
-    variableRef.current = variable;
+      created[name] = variable;
+    });
+
+    Object.entries(variables).forEach(([name, { dependencies = [name] }]) => {
+      gpgpuRenderer.setVariableDependencies(
+        created[name],
+        dependencies.map(dependency => {
+          if (!created[dependency]) throw new Error(`useGPGPU: "${name}" depends on "${dependency}", which isn't one of its variables`);
+          return created[dependency];
+        })
+      );
+    });
 
-    // Set dependencies and initialize
-    gpgpuRenderer.setVariableDependencies(variable, [variable]);
     gpgpuRenderer.init();
+    gpgpuRef.current = gpgpuRenderer;
+    variablesRef.current = created;
+    pointersRef.current.clear();
 
     return () => {
       // Clean up resources if necessary
       gpgpuRenderer.dispose();
+      gpgpuRef.current = null;
+      variablesRef.current = {};
     };
-  }, [renderer, size, params]);
-
-  const updateMouse = uv => {
-    if (!variableRef.current) return;
-
-    const currentMouse = new THREE.Vector2(uv.x, uv.y);
-    const deltaMouse = new THREE.Vector2().subVectors(currentMouse, lastMousePos.current);
-    
-    // Calculate mouse speed
-    mouseSpeed.current = deltaMouse.length() * 10.0;
-    
-    // Update uniforms
-    variableRef.current.material.uniforms.uMouse.value.copy(currentMouse);
-    variableRef.current.material.uniforms.uDeltaMouse.value.copy(deltaMouse);
-    variableRef.current.material.uniforms.uMouseSpeed.value = mouseSpeed.current;
-    
-    lastMousePos.current.copy(currentMouse);
-  };
+  }, [renderer, side, variables, pointers]);
+
+  // Variables that take pointer input
+  const pointerVariables = () => Object.values(variablesRef.current).filter(variable => variable.material.uniforms.uPointers);
+
+  // Slot of a pointer, a new one takes a free slot or the one updated longest ago
+  const slotOf = pointerId => {
+    const tracked = pointersRef.current;
+    if (tracked.has(pointerId)) return tracked.get(pointerId);
 
-  const compute = () => {
-    if (gpgpuRef.current) {
-      gpgpuRef.current.compute();
+    const used = new Set([...tracked.values()].map(pointer => pointer.slot));
+    let slot = [...Array(pointers).keys()].find(index => !used.has(index));
+
+    if (slot === undefined) {
+      const [oldestId, oldest] = [...tracked.entries()].reduce((a, b) => (b[1].updated < a[1].updated ? b : a));
+      tracked.delete(oldestId);
+      slot = oldest.slot;
     }
-    
-    if (variableRef.current && variableRef.current.material) {
-      // Update time
-      variableRef.current.material.uniforms.uTime.value += 0.016; // ~60fps
-      
-      // Gradually reduce mouse speed for smooth dissipation
-      variableRef.current.material.uniforms.uMouseSpeed.value *= 0.95;
-    } 
+
+    const pointer = { slot, last: null, updated: 0 };
+    tracked.set(pointerId, pointer);
+    return pointer;
   };
-  
-  const getTexture = () => {
-    if (gpgpuRef.current) {
-      return gpgpuRef.current.getCurrentRenderTarget(variableRef.current).texture;
-    }
-    return null;
+
+  /**
+   * Moves one pointer in every variable with `pointers`, returns its slot
+   * so callers can keep their own per-pointer state in the same order.
+   *
+   * @param {{ x: number, y: number }} uv
+   * @param {number} [pointerId] - PointerEvent.pointerId
+   */
+  const updatePointer = (uv, pointerId = 0) => {
+    const targets = pointerVariables();
+    if (!targets.length) return -1;
+
+    const pointer = slotOf(pointerId);
+    const currentPointer = new THREE.Vector2(uv.x, uv.y);
+    // A pointer's first move has no delta, fingers land anywhere
+    const deltaPointer = pointer.last ? new THREE.Vector2().subVectors(currentPointer, pointer.last) : new THREE.Vector2();
+
+    // Update uniforms, speed as the mouse had it
+    targets.forEach(({ material: { uniforms } }) => {
+      uniforms.uPointers.value[pointer.slot].copy(currentPointer);
+      uniforms.uDeltaPointers.value[pointer.slot].copy(deltaPointer);
+      uniforms.uPointerSpeeds.value[pointer.slot] = deltaPointer.length() * 10.0;
+    });
+
+    pointer.last = currentPointer;
+    pointer.updated = performance.now();
+    return pointer.slot;
+  };
+
+  // A lifted finger or a mouse that left: its trail dissipates and its slot is free again
+  const releasePointer = pointerId => {
+    const pointer = pointersRef.current.get(pointerId);
+    if (!pointer) return -1;
+
+    pointersRef.current.delete(pointerId);
+    pointerVariables().forEach(({ material: { uniforms } }) => uniforms.uDeltaPointers.value[pointer.slot].set(0, 0));
+    return pointer.slot;
+  };
+
+  /**
+   * Steps the simulation by `delta` seconds (R3F's frame delta), capped at
+   * MAX_DELTA. Does nothing while paused.
+   */
+  const compute = (delta = 1 / REFERENCE_FPS) => {
+    if (pausedRef.current || !gpgpuRef.current) return;
+
+    const step = Math.min(delta, MAX_DELTA);
+
+    // Update time
+    Object.values(variablesRef.current).forEach(({ material: { uniforms } }) => {
+      uniforms.uTime.value += step;
+      uniforms.uDeltaTime.value = step;
+    });
+
+    gpgpuRef.current.compute();
+
+    // Gradually reduce pointer speeds for smooth dissipation
+    const decay = Math.pow(0.95, step * REFERENCE_FPS);
+    pointerVariables().forEach(({ material: { uniforms } }) => {
+      const speeds = uniforms.uPointerSpeeds.value;
+      speeds.forEach((speed, slot) => (speeds[slot] = speed * decay));
+    });
+  };
+
+  // True while compute is skipped, callers can skip their own per-frame work too
+  const isPaused = () => pausedRef.current;
+
+  const renderTarget = (name = defaultName) =>
+    gpgpuRef.current && variablesRef.current[name] ? gpgpuRef.current.getCurrentRenderTarget(variablesRef.current[name]) : null;
+
+  // Latest state of a variable, for a material's uniform
+  const getTexture = (name = defaultName) => renderTarget(name)?.texture ?? null;
+
+  // A variable's live uniforms, null before the simulation is built
+  const getUniforms = (name = defaultName) => variablesRef.current[name]?.material.uniforms ?? null;
+
+  /**
+   * Sets uniform values of one variable, skipping undefined values and
+   * names it doesn't have.
+   *
+   * @param {string} name
+   * @param {Object<string, *>} values
+   */
+  const setUniforms = (name, values) => {
+    const uniforms = getUniforms(name);
+    if (!uniforms) return;
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== undefined && uniforms[key]) uniforms[key].value = value;
+    });
+  };
+
+  /**
+   * Copies a variable's whole grid back to the CPU, RGBA per cell from the
+   * bottom row up. Stalls the GPU, prefer readPixelsAsync every frame.
+   *
+   * @param {string} [name]
+   * @param {Float32Array} [buffer] - Reused when given, side * side * 4 long
+   * @returns {Float32Array | null}
+   */
+  const readPixels = (name = defaultName, buffer = new Float32Array(side * side * 4)) => {
+    const target = renderTarget(name);
+    if (!target) return null;
+
+    renderer.readRenderTargetPixels(target, 0, 0, side, side, buffer);
+    return buffer;
+  };
+
+  /**
+   * Same as readPixels without blocking.
+   *
+   * @returns {Promise<Float32Array | null>}
+   */
+  const readPixelsAsync = async (name = defaultName, buffer = new Float32Array(side * side * 4)) => {
+    const target = renderTarget(name);
+    if (!target) return null;
+
+    await renderer.readRenderTargetPixelsAsync(target, 0, 0, side, side, buffer);
+    return buffer;
+  };
+
+  /**
+   * One cell of a variable at a uv, as [r, g, b, a].
+   *
+   * @param {string} name
+   * @param {{ x: number, y: number }} uv
+   * @returns {Float32Array | null}
+   */
+  const sample = (name, uv) => {
+    const target = renderTarget(name);
+    if (!target) return null;
+
+    const x = THREE.MathUtils.clamp(Math.floor(uv.x * side), 0, side - 1);
+    const y = THREE.MathUtils.clamp(Math.floor(uv.y * side), 0, side - 1);
+    const buffer = new Float32Array(4);
+    renderer.readRenderTargetPixels(target, x, y, 1, 1, buffer);
+    return buffer;
   };
 
   return {
-    updateMouse,
+    updatePointer,
+    releasePointer,
     compute,
+    isPaused,
     getTexture,
+    getUniforms,
+    setUniforms,
+    readPixels,
+    readPixelsAsync,
+    sample,
+    side,
   };
 };
 
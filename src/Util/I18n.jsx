@@ -0,0 +1,82 @@
+import { useMemo } from "react";
+import { useLocation } from "react-router-dom";
+import en from "../Data/Locales/en.json";
+import fr from "../Data/Locales/fr.json";
+
+/**
+ * Languages of the site. English lives at the root (`/oto`), every other
+ * locale under its own prefix (`/fr/oto`).
+ *
+ * `ogLocale` is the OpenGraph form of the code. `font3d` is the font used
+ * by 3D text (troika / DreiText), it must hold the glyphs of the locale's
+ * copy: uni.ttf covers Latin-1 and Latin Extended-A, a locale in another
+ * script needs its own font here.
+ */
+export const locales = {
+  en: { name: "English", messages: en, ogLocale: "en_US", font3d: "/Font/uni.ttf" },
+  fr: { name: "Français", messages: fr, ogLocale: "fr_FR", font3d: "/Font/uni.ttf" },
+};
+
+export const defaultLocale = "en";
+
+const prefixed = Object.keys(locales).filter(code => code !== defaultLocale);
+
+export const localeFromPath = pathname => {
+  const segment = pathname.split("/")[1];
+  return prefixed.includes(segment) ? segment : defaultLocale;
+};
+
+// "/fr/oto" → "/oto"
+export const stripLocale = pathname => {
+  const locale = localeFromPath(pathname);
+  if (locale === defaultLocale) return pathname;
+
+  return pathname.slice(locale.length + 1) || "/";
+};
+
+// "/oto" → "/fr/oto", paths that already carry a locale are left alone
+export const localizePath = (path, locale) => {
+  if (locale === defaultLocale || !path.startsWith("/") || localeFromPath(path) !== defaultLocale) return path;
+
+  return `/${locale}${path === "/" ? "" : path}`;
+};
+
+const lookup = (locale, key) => key.split(".").reduce((value, part) => value?.[part], locales[locale]?.messages);
+
+/**
+ * Message for `key` ("work.visitSite") in `locale`, falling back to English
+ * and then to the key itself. `{name}` placeholders are filled from `vars`.
+ * Lists and objects (slides, day labels) are returned as they are.
+ */
+export const translate = (locale, key, vars) => {
+  const message = lookup(locale, key) ?? lookup(defaultLocale, key) ?? key;
+  if (typeof message !== "string" || !vars) return message;
+
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+};
+
+// Registry titles are the English ones
+export const routeTitle = (route, locale) => lookup(locale, `routes.${route.id}`) ?? route.title;
+
+// Translated project fields, each one falling back to English
+export const localizeProject = (project, locale) => (project ? { ...project, ...project.translations?.[locale] } : project);
+
+/**
+ * Current locale, from the URL, and helpers bound to it.
+ *
+ * @returns {{ locale: string, t: Function, localize: Function, project: Function }}
+ */
+export const useI18n = () => {
+  const { pathname } = useLocation();
+  const locale = localeFromPath(pathname);
+
+  return useMemo(
+    () => ({
+      locale,
+      t: (key, vars) => translate(locale, key, vars),
+      localize: path => localizePath(path, locale),
+      project: project => localizeProject(project, locale),
+    }),
+    [locale]
+  );
+};
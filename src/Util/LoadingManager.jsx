@@ -0,0 +1,205 @@
+import { useEffect, useState, useSyncExternalStore } from "react";
+
+// Loading progress shared by route chunks, assets, fonts, sounds and the Loader
+const store = {
+  total: 0,
+  loaded: 0,
+  holds: 0,
+};
+const listeners = new Set();
+
+const emit = () => listeners.forEach(listener => listener());
+
+const subscribe = listener => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getProgress = () => (store.total ? store.loaded / store.total : 1);
+
+const begin = () => {
+  // Start a fresh batch once the previous one has finished
+  if (store.loaded === store.total) {
+    store.total = 0;
+    store.loaded = 0;
+  }
+
+  store.total++;
+  emit();
+};
+
+const end = () => {
+  store.loaded++;
+  emit();
+};
+
+// Count a promise towards the progress, it settles either way
+export const trackLoad = promise => {
+  begin();
+  return promise.finally(end);
+};
+
+/*--------------------
+  Sources
+  --------------------*/
+
+// three.js loaders (useGLTF, useTexture...) report through their LoadingManager
+const watchedManagers = new WeakSet();
+
+export const trackLoadingManager = manager => {
+  if (watchedManagers.has(manager)) return;
+  watchedManagers.add(manager);
+
+  const pending = new Set();
+  const { itemStart, itemEnd } = manager;
+
+  manager.itemStart = url => {
+    itemStart.call(manager, url);
+    if (pending.has(url)) return;
+    pending.add(url);
+    begin();
+  };
+
+  // three calls itemEnd after itemError too
+  manager.itemEnd = url => {
+    itemEnd.call(manager, url);
+    if (pending.delete(url)) end();
+  };
+};
+
+// Howler sounds count once they have loaded or failed to
+export const trackHowl = howl => {
+  trackLoad(
+    new Promise(resolve => {
+      if (howl.state() === "loaded") return resolve();
+      howl.once("load", resolve);
+      howl.once("loaderror", resolve);
+    })
+  );
+  return howl;
+};
+
+// CSS font families, e.g. the Kufam @font-face in main.css
+const trackedFonts = new Set();
+
+export const trackFont = family => {
+  if (trackedFonts.has(family) || !document.fonts) return;
+  trackedFonts.add(family);
+  trackLoad(document.fonts.load(`1em "${family}"`).catch(() => null));
+};
+
+const preloaders = {
+  image: src =>
+    new Promise(resolve => {
+      const image = new Image();
+      image.onload = image.onerror = resolve;
+      image.src = src;
+    }),
+  video: src =>
+    new Promise(resolve => {
+      const video = document.createElement("video");
+      video.preload = "auto";
+      video.muted = true;
+      video.oncanplaythrough = video.onerror = resolve;
+      video.src = src;
+    }),
+  // Registered under the file name, e.g. /Font/uni.ttf becomes "uni"
+  font: src => {
+    const face = new FontFace(src.split("/").pop().split(".")[0], `url(${src})`);
+    document.fonts.add(face);
+    return face.load();
+  },
+  // Anything else (models, data) just warms the HTTP cache
+  file: src => fetch(src).then(response => response.blob()),
+};
+
+const assetType = src => {
+  if (/\.(webp|avif|png|jpe?g|gif|svg)$/i.test(src)) return "image";
+  if (/\.(webm|mp4|mov)$/i.test(src)) return "video";
+  if (/\.(woff2?|ttf|otf)$/i.test(src)) return "font";
+  return "file";
+};
+
+// Each asset is only fetched once, whether a link prefetched it or a route needed it
+const preloaded = new Map();
+
+export const preloadAsset = src => {
+  if (!preloaded.has(src)) preloaded.set(src, trackLoad(preloaders[assetType(src)](src).catch(() => null)));
+  return preloaded.get(src);
+};
+
+/*--------------------
+  Routes
+  --------------------*/
+
+// Longest a route waits on its preloads, the Loader's counter gives up at the same time
+export const LOADING_TIMEOUT = 8000;
+
+// Resolves when the promise settles, fulfilled or not, or after `ms`
+const settleWithin = (promise, ms) => Promise.race([promise.catch(() => null), new Promise(resolve => setTimeout(resolve, ms))]);
+
+// Keep lazy routes suspended while something (the Loader) is still animating
+export const holdLoading = () => {
+  store.holds++;
+  let released = false;
+
+  return () => {
+    if (released) return;
+    released = true;
+    store.holds--;
+    emit();
+  };
+};
+
+const whenReleased = () =>
+  new Promise(resolve => {
+    if (!store.holds) return resolve();
+
+    const unsubscribe = subscribe(() => {
+      if (store.holds) return;
+      unsubscribe();
+      resolve();
+    });
+  });
+
+/**
+ * Load a registry route: its page chunk plus every asset it preloads.
+ * Resolves with the page module, for React.lazy. Preloads that fail or are
+ * still pending after LOADING_TIMEOUT don't hold the page back, they finish
+ * (or not) behind it.
+ */
+export const loadRoute = route =>
+  Promise.all([
+    trackLoad(route.load()),
+    settleWithin(Promise.all(route.preload.map(preloadAsset)), LOADING_TIMEOUT),
+  ]).then(([module]) => whenReleased().then(() => module));
+
+// Warm a route up ahead of navigation, e.g. when its link is hovered
+export const prefetchRoute = route => Promise.all([route.load(), ...route.preload.map(preloadAsset)]).catch(() => null);
+
+/**
+ * Combined progress of everything tracked above.
+ * `ready` turns true once it all has loaded, or after `timeout` ms so a slow
+ * or broken asset never keeps the site locked behind the Loader.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.fonts] - CSS font families to wait for
+ * @param {number} [options.timeout=LOADING_TIMEOUT]
+ * @returns {{ progress: number, ready: boolean }}
+ */
+export const useLoadingManager = ({ fonts = [], timeout = LOADING_TIMEOUT } = {}) => {
+  const progress = useSyncExternalStore(subscribe, getProgress);
+  const [timedOut, setTimedOut] = useState(false);
+
+  useEffect(() => {
+    fonts.forEach(trackFont);
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setTimedOut(true), timeout);
+    return () => clearTimeout(timer);
+  }, [timeout]);
+
+  const ready = timedOut || progress >= 1;
+  return { progress: ready ? 1 : progress, ready };
+};
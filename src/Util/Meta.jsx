@@ -0,0 +1,139 @@
+import { useEffect } from "react";
+import { matchPath, useLocation } from "react-router-dom";
+import { findRoute, routes, siteTitle } from "../Routes/Registry";
+import { projectData } from "../Data/ProjectData";
+import { defaultLocale, localeFromPath, locales, localizePath, localizeProject, routeTitle, stripLocale, translate } from "./I18n";
+
+const defaultImage = "/scene.webp";
+
+// Production origin for canonical / OpenGraph URLs, the current one when it isn't set
+const siteUrl = (import.meta.env.VITE_SITE_URL || "").replace(/\/$/, "");
+
+/**
+ * @typedef {Object} PageMeta
+ * @property {string} [title] - Page title, " | Enzari studios" is added
+ * @property {string} [description]
+ * @property {string} [image] - public/ path or URL of the share image
+ * @property {string} [type="website"] - OpenGraph type
+ */
+
+// What a project page shares: its excerpt, never the redacted text
+export const projectMeta = project =>
+  project && { title: project.title, description: project.excerpt, image: project.poster, type: "article" };
+
+/**
+ * Metadata a pathname gets before its page adds anything: the registry
+ * title and image, the `meta.<route id>` description, or the project.
+ *
+ * @returns {PageMeta}
+ */
+export const defaultMeta = pathname => {
+  const locale = localeFromPath(pathname);
+  const route = findRoute(pathname);
+  const defaults = { description: translate(locale, "meta.default"), image: defaultImage, type: "website" };
+  if (!route) return defaults;
+
+  const base = {
+    ...defaults,
+    title: route.path === "/" ? undefined : routeTitle(route, locale),
+    description: translate(locale, `meta.${route.id}`),
+    image: route.image || defaultImage,
+  };
+
+  if (route.id !== "project") return base;
+
+  const id = matchPath(route.path, stripLocale(pathname))?.params.id;
+  const project = projectData.find(p => String(p.id) === id);
+  return { ...base, ...projectMeta(localizeProject(project, locale)) };
+};
+
+// Previews cut descriptions off around here, end on a whole word
+const DESCRIPTION_LENGTH = 160;
+const clip = text => (text.length <= DESCRIPTION_LENGTH ? text : `${text.slice(0, DESCRIPTION_LENGTH).replace(/\s+\S*$/, "")}…`);
+
+const absolute = (url, origin) => (/^https?:\/\//.test(url) ? url : `${origin}${url}`);
+
+// The same page in every locale, plus x-default
+export const alternatePaths = pathname => {
+  const path = stripLocale(pathname);
+
+  return [
+    ...Object.keys(locales).map(code => ({ hreflang: code, path: localizePath(path, code) })),
+    { hreflang: "x-default", path: localizePath(path, defaultLocale) },
+  ];
+};
+
+/**
+ * Every head tag for a page, as [tag, attributes] pairs, from its defaults
+ * and whatever the page declared. Shared by usePageMeta and the prerender step.
+ *
+ * @param {string} pathname
+ * @param {PageMeta} [meta]
+ * @param {string} [origin] - Defaults to VITE_SITE_URL, then the current origin
+ */
+export const resolveMeta = (pathname, meta = {}, origin = siteUrl || window.location.origin) => {
+  const locale = localeFromPath(pathname);
+  const declared = Object.fromEntries(Object.entries(meta).filter(([, value]) => value !== undefined));
+  const { title, image, type, ...rest } = { ...defaultMeta(pathname), ...declared };
+  const description = clip(rest.description);
+  const fullTitle = title ? `${title} | ${siteTitle}` : siteTitle;
+  const url = absolute(pathname, origin);
+
+  const tags = [
+    ["meta", { name: "description", content: description }],
+    ["link", { rel: "canonical", href: url }],
+    ["meta", { property: "og:site_name", content: siteTitle }],
+    ["meta", { property: "og:title", content: fullTitle }],
+    ["meta", { property: "og:description", content: description }],
+    ["meta", { property: "og:type", content: type }],
+    ["meta", { property: "og:url", content: url }],
+    ["meta", { property: "og:image", content: absolute(image, origin) }],
+    ["meta", { property: "og:locale", content: locales[locale].ogLocale }],
+    ["meta", { name: "twitter:card", content: "summary_large_image" }],
+    ["meta", { name: "twitter:title", content: fullTitle }],
+    ["meta", { name: "twitter:description", content: description }],
+    ["meta", { name: "twitter:image", content: absolute(image, origin) }],
+    ...alternatePaths(pathname).map(({ hreflang, path }) => ["link", { rel: "alternate", hreflang, href: absolute(path, origin) }]),
+  ];
+
+  return { title: fullTitle, description, locale, tags };
+};
+
+/**
+ * Every URL worth its own HTML file: each page without parameters and each
+ * project, in every locale.
+ */
+export const prerenderPaths = () => {
+  const paths = routes.flatMap(route => {
+    if (route.path === "*") return [];
+    if (route.id === "project") return projectData.map(project => route.path.replace(":id", project.id));
+    return route.path.includes(":") ? [] : [route.path];
+  });
+
+  return Object.keys(locales).flatMap(locale => paths.map(path => localizePath(path, locale)));
+};
+
+/**
+ * Head tags for the current page. Pages call it with what they know best
+ * (a project's title and poster), the rest comes from defaultMeta.
+ *
+ * @param {PageMeta} [meta]
+ */
+export const usePageMeta = (meta = {}) => {
+  const { pathname } = useLocation();
+  const { title, description, image, type } = meta;
+
+  useEffect(() => {
+    const resolved = resolveMeta(pathname, { title, description, image, type });
+
+    document.title = resolved.title;
+    document.head.querySelectorAll("[data-meta]").forEach(element => element.remove());
+
+    resolved.tags.forEach(([tag, attributes]) => {
+      const element = document.createElement(tag);
+      Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+      element.setAttribute("data-meta", "");
+      document.head.appendChild(element);
+    });
+  }, [pathname, title, description, image, type]);
+};
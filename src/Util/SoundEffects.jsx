@@ -2,28 +2,35 @@ import { Howl } from "howler";
 import { useEffect, useRef, useState } from "react";
 import { useLocation } from "react-router-dom";
 import gsap from "gsap";
+import { findRoute, routes } from "../Routes/Registry";
+import { trackHowl } from "./LoadingManager";
+import { stripLocale } from "./I18n";
 
 import "../Style/Component.scss";
 
-// Ambient sounds setup
-const ambientSound = new Howl({ src: ["/Sounds/homeAmb.mp3"], loop: true, volume: 0 });
+// Ambient sounds setup, one Howl per track listed in the route registry
+const ambientSounds = {};
+const getAmbientSound = src => {
+  if (!ambientSounds[src]) ambientSounds[src] = trackHowl(new Howl({ src: [src], loop: true, volume: 0 }));
+  return ambientSounds[src];
+};
 
-// Interaction sounds setup
+// Interaction sounds setup, they count towards the Loader progress
 const interactionSounds = {
   hover: {
-    reverbed: [new Howl({ src: ["/Sounds/popH.mp3"], volume: 0.0025 }), new Howl({ src: ["/Sounds/popH2.mp3"], volume: 0.005 })],
+    reverbed: [trackHowl(new Howl({ src: ["/Sounds/popH.mp3"], volume: 0.0025 })), trackHowl(new Howl({ src: ["/Sounds/popH2.mp3"], volume: 0.005 }))],
     normal: [
-      new Howl({ src: ["/Sounds/hover1.mp3"], volume: 0.25, rate: 0.35 }),
-      new Howl({ src: ["/Sounds/hover2.mp3"], volume: 0.25, rate: 0.35 }),
+      trackHowl(new Howl({ src: ["/Sounds/hover1.mp3"], volume: 0.25, rate: 0.35 })),
+      trackHowl(new Howl({ src: ["/Sounds/hover2.mp3"], volume: 0.25, rate: 0.35 })),
     ],
   },
   click: {
     reverbed: [
-      new Howl({ src: ["/Sounds/clickH.mp3"], volume: 0.005 }),
+      trackHowl(new Howl({ src: ["/Sounds/clickH.mp3"], volume: 0.005 })),
       // new Howl({ src: ['/Sounds/click_reverbed2.mp3'], volume: 1 }),
     ],
     normal: [
-      new Howl({ src: ["/Sounds/click.mp3"], volume: 0.25, rate: 3.5 }),
+      trackHowl(new Howl({ src: ["/Sounds/click.mp3"], volume: 0.25, rate: 3.5 })),
       // new Howl({ src: ['/Sounds/click_normal2.mp3'], volume: 1 }),
     ],
   },
@@ -36,9 +43,10 @@ const getRandomSound = soundsArray => {
 
 export const useSoundEffects = isMenuOpen => {
   const location = useLocation();
-  const isHome = location.pathname === "/";
+  const isHome = stripLocale(location.pathname) === "/";
+  const ambientSrc = (findRoute(location.pathname) || routes[0]).ambient;
   const isMuted = useRef(false);
-  const currentAmbient = useRef(ambientSound);
+  const currentAmbient = useRef(getAmbientSound(ambientSrc));
   const [isTransitioning, setIsTransitioning] = useState(false);
   const [inProximity, setInProximity] = useState(false);
 
@@ -92,10 +100,21 @@ export const useSoundEffects = isMenuOpen => {
 
   //   add event to page and trigger ambient
   useEffect(() => {
+    // Cross-fade to the route's own track when it differs from the current one
+    const nextAmbient = getAmbientSound(ambientSrc);
+    if (currentAmbient.current !== nextAmbient) {
+      const previousAmbient = currentAmbient.current;
+      if (previousAmbient.playing()) {
+        previousAmbient.fade(previousAmbient.volume(), 0, 1000);
+        setTimeout(() => previousAmbient.stop(), 1000);
+      }
+      currentAmbient.current = nextAmbient;
+    }
+
     playAmbientSound();
     document.addEventListener("visibilitychange", handleVisibilityChange);
     return () => document.removeEventListener("visibilitychange", handleVisibilityChange);
-  }, [isHome]);
+  }, [isHome, ambientSrc]);
 
   // Play interaction sound with ID-based exclusion/inclusion
   useEffect(() => {
@@ -1,39 +1,145 @@
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, { useEffect, useRef } from "react";
 import { SwitchTransition, Transition } from "react-transition-group";
-import { useLocation, useNavigate } from "react-router-dom";
+import { useLocation } from "react-router-dom";
 import gsap from "gsap";
+import { findRoute } from "../Routes/Registry";
 // import { useSoundEffects } from "./SoundEffects";
 
+const PANES = 8;
+
+// clip-path inset matching a viewport rect, or the centre of the screen
+const insetFrom = rect => {
+  const { top, left, width, height } = rect || { top: innerHeight / 2, left: innerWidth / 2, width: 0, height: 0 };
+  return `inset(${top}px ${innerWidth - left - width}px ${innerHeight - top - height}px ${left}px)`;
+};
+
+/**
+ * Named page transitions. `exit` covers the leaving page with the overlay,
+ * `enter` uncovers the next one. Both get the overlay, its panes and the
+ * resolved options ({ color, duration, ease }); covering takes half the duration.
+ */
+export const transitions = {
+  // Vertical wipe, the overlay is flipped on enter so it keeps moving down
+  wipe: {
+    defaults: { color: "black", duration: 1, ease: "expo.inOut" },
+    exit: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(
+        overlay,
+        { backgroundColor: color, clipPath: "inset(0 0 100% 0)", rotate: 0 },
+        { clipPath: "inset(0 0 0% 0)", duration: duration / 2, ease }
+      ),
+    enter: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(
+        overlay,
+        { backgroundColor: color, clipPath: "inset(0 0 0% 0)", rotate: 180 },
+        { clipPath: "inset(0 0 100% 0)", duration, ease }
+      ),
+  },
+  // Radial mask, same as the Intro outro
+  radial: {
+    defaults: { color: "black", duration: 1, ease: "sine.in" },
+    exit: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(
+        overlay,
+        { backgroundColor: color, mask: "radial-gradient(150vw,#0000 100%,#000) 0 0" },
+        { mask: "radial-gradient(0vw,#0000 100%,#000) 0 0", duration: duration / 2, ease }
+      ),
+    enter: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(
+        overlay,
+        { backgroundColor: color, mask: "radial-gradient(0vw,#0000 100%,#000) 0 0" },
+        { mask: "radial-gradient(150vw,#0000 100%,#000) 0 0", duration, ease }
+      ),
+  },
+  // Staggered panes, like Oto's festival panes
+  panes: {
+    defaults: { color: "black", duration: 1, ease: "expo.out" },
+    exit: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(
+        panes,
+        { backgroundColor: color, scaleY: 0, transformOrigin: "top center" },
+        { scaleY: 1, duration: duration * 0.3, stagger: { amount: duration * 0.2, from: "random" }, ease }
+      ),
+    enter: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(
+        panes,
+        { backgroundColor: color, scaleY: 1, transformOrigin: "bottom center" },
+        { scaleY: 0, duration: duration * 0.6, stagger: { amount: duration * 0.4, from: "random" }, ease }
+      ),
+  },
+  // A poster growing to full screen from `from` ({ top, left, width, height }), then fading off
+  poster: {
+    defaults: { color: "black", duration: 1.2, ease: "expo.inOut" },
+    exit: (overlay, panes, { color, duration, ease, src, from }) =>
+      gsap.fromTo(
+        overlay,
+        { background: `${color} url(${src}) center / cover no-repeat`, clipPath: insetFrom(from) },
+        { clipPath: "inset(0px 0px 0px 0px)", duration: duration / 2, ease }
+      ),
+    enter: (overlay, panes, { color, duration, src }) =>
+      gsap.fromTo(
+        overlay,
+        { background: `${color} url(${src}) center / cover no-repeat`, opacity: 1 },
+        { opacity: 0, duration: duration / 2, ease: "power2.inOut" }
+      ),
+  },
+  crossfade: {
+    defaults: { color: "black", duration: 1, ease: "power2.inOut" },
+    exit: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(overlay, { backgroundColor: color, opacity: 0 }, { opacity: 1, duration: duration / 2, ease }),
+    enter: (overlay, panes, { color, duration, ease }) =>
+      gsap.fromTo(overlay, { backgroundColor: color, opacity: 1 }, { opacity: 0, duration, ease }),
+  },
+};
+
+/**
+ * Transition for a location: navigation state wins over the registry entry.
+ * Either can be a name or an object, e.g.
+ * navigate("/oto", { state: { transition: { name: "crossfade", duration: 0.6 } } })
+ */
+const resolveTransition = location => {
+  const choice = location.state?.transition ?? findRoute(location.pathname)?.transition ?? "wipe";
+  const { name, ...options } = typeof choice === "string" ? { name: choice } : choice;
+  const transition = transitions[name] || transitions.wipe;
+
+  return { transition, options: { ...transition.defaults, ...options } };
+};
+
 const Transitioner = ({ children }) => {
   const location = useLocation();
-  const navigate = useNavigate();
   // const { fadeOutSound, fadeInSound } = useSoundEffects();
   const header = document.getElementById("header");
   const overlayRef = useRef(null);
+  const panesRef = useRef([]);
+  const runningRef = useRef(null);
+
+  // The leaving page's callbacks still run, so they read the next location from here
+  const nextRef = useRef(null);
+  nextRef.current = resolveTransition(location);
 
-  const animateOverlayEnter = overlay => {
+  // Reset whatever the previous transition left on the overlay
+  const prepareOverlay = (overlay, panes, usesPanes) => {
+    gsap.killTweensOf([overlay, ...panes]);
+    gsap.set(overlay, { clearProps: "clipPath,mask,opacity,rotate,background", display: "block", backgroundColor: "transparent" });
+    gsap.set(panes, { clearProps: "transform,backgroundColor", display: usesPanes ? "block" : "none" });
+  };
+
+  const animateOverlayEnter = (overlay, panes) => {
     if (!overlay) return;
-    gsap.set(overlay, { clipPath: "inset(0 0 0% 0)", opacity: 1, display: "block", rotate: 180, transformOrigin: "center" });
-    return gsap.to(overlay, {
-      clipPath: "inset(0 0 100% 0)",
-      duration: 1.0,
-      ease: "expo.inOut",
-      delay: 0.5,
-      onComplete: () => {
-        gsap.set(overlay, { opacity: 0, display: "none",rotate: 0, });
-      },
+    const { transition, options } = nextRef.current;
+
+    prepareOverlay(overlay, panes, transition === transitions.panes);
+    return transition.enter(overlay, panes, options).delay(0.5).eventCallback("onComplete", () => {
+      gsap.set(overlay, { display: "none" });
     });
   };
 
-  const animateOverlayExit = overlay => {
+  const animateOverlayExit = (overlay, panes) => {
     if (!overlay) return;
-    gsap.set(overlay, { clipPath: "inset(0 0 100% 0)", opacity: 1, display: "block" });
-    return gsap.to(overlay, {
-      clipPath: "inset(0 0 0% 0)",
-      duration: 0.5,
-      ease: "expo.inOut",
-      delay: 0.5,
-    });
+    const { transition, options } = nextRef.current;
+
+    prepareOverlay(overlay, panes, transition === transitions.panes);
+    return transition.exit(overlay, panes, options).delay(0.5);
   };
 
   const handleEnterTransition = () => {
@@ -56,27 +162,23 @@ const Transitioner = ({ children }) => {
     return () => ctx.revert(); // Clean up animations on unmount
   }, []);
 
-  const isProject = location.pathname.includes("/Project/");
-
   return (
     <SwitchTransition>
       <Transition
         key={location.pathname}
-        timeout={{
-          enter: 0,
-          exit: isProject ? 0 : 1000,
+        // The next page mounts as soon as the overlay has covered the old one
+        addEndListener={(node, done) => {
+          const running = runningRef.current;
+          runningRef.current = null;
+          running ? running.then(() => done()) : done();
         }}
         onEnter={node => {
-          const overlay = overlayRef.current;
-
-          animateOverlayEnter(overlay);
+          animateOverlayEnter(overlayRef.current, panesRef.current);
 
           handleEnterTransition();
         }}
         onExit={node => {
-          const overlay = overlayRef.current;
-
-          animateOverlayExit(overlay);
+          runningRef.current = animateOverlayExit(overlayRef.current, panesRef.current);
 
           handleExitTransition();
         }}
@@ -97,7 +199,13 @@ const Transitioner = ({ children }) => {
               transformOrigin: "top center",
               pointerEvents: 'none',
             }}
-          />
+          >
+            <div style={{ display: "flex", width: "100%", height: "100%" }}>
+              {Array.from({ length: PANES }, (_, i) => (
+                <div key={i} ref={el => (panesRef.current[i] = el)} style={{ flex: 1, height: "100%", display: "none" }} />
+              ))}
+            </div>
+          </div>
           {children}
         </>
       </Transition>
@@ -0,0 +1,90 @@
+import { useEffect, useRef, useSyncExternalStore } from "react";
+
+// The tweak panel only exists with ?debug in the URL, for the whole visit
+export const debug = typeof window !== "undefined" && new URLSearchParams(window.location.search).has("debug");
+
+/**
+ * @typedef {Object} Control
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step
+ *
+ * @typedef {Object<string, Object<string, number>>} Preset - Values by group, then name: { uniforms: { uStepCount: 100 }, gpgpu: { ... } }
+ *
+ * @typedef {Object} TweakTarget
+ * @property {Object<string, Object<string, Control>>} controls - Ranges by group, then name, same shape as a preset
+ * @property {Preset} values - Current values, kept up to date by the panel
+ * @property {Preset} initial - Values it registered with, for reset
+ * @property {Function} apply - (group, name, value) => void, pushes one value live
+ */
+
+// Everything that can be tweaked right now, by name
+const targets = new Map();
+const listeners = new Set();
+let snapshot = [];
+
+const emit = () => {
+  snapshot = [...targets.entries()];
+  listeners.forEach(listener => listener());
+};
+
+const subscribe = listener => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Preset values over defaults, keeping only names the defaults know.
+ * Returns the merged preset and the names that were skipped.
+ *
+ * @param {Preset} defaults
+ * @param {Preset} [preset]
+ */
+export const mergePreset = (defaults, preset = {}) => {
+  const skipped = [];
+  const merged = Object.fromEntries(Object.entries(defaults).map(([group, values]) => [group, { ...values }]));
+
+  Object.entries(preset || {}).forEach(([group, values]) => {
+    Object.entries(values || {}).forEach(([name, value]) => {
+      if (!merged[group] || !(name in merged[group]) || typeof value !== "number" || !Number.isFinite(value)) {
+        return skipped.push(`${group}.${name}`);
+      }
+      merged[group][name] = value;
+    });
+  });
+
+  return { preset: merged, skipped };
+};
+
+/**
+ * Makes a component's values editable in the panel while it is mounted.
+ * Does nothing without ?debug.
+ *
+ * @param {string} name - Panel section title
+ * @param {TweakTarget} target
+ */
+export const useTweaks = (name, { controls, values, apply }) => {
+  // Always the latest apply, it usually closes over the current material
+  const applyRef = useRef(apply);
+  applyRef.current = apply;
+
+  useEffect(() => {
+    if (!debug) return;
+
+    targets.set(name, {
+      controls,
+      values: mergePreset(values).preset,
+      initial: values,
+      apply: (...args) => applyRef.current(...args),
+    });
+    emit();
+
+    return () => {
+      targets.delete(name);
+      emit();
+    };
+  }, [name, values]);
+};
+
+// [name, target] pairs, for the panel
+export const useTweakTargets = () => useSyncExternalStore(subscribe, () => snapshot);
@@ -0,0 +1,30 @@
+// Unlocks the secrets of confidential projects, sealed at build by plugins/vault.js
+const ITERATIONS = 150000;
+
+const fromBase64 = value => Uint8Array.from(atob(value), char => char.charCodeAt(0));
+const toHex = bytes => Array.from(bytes, byte => byte.toString(16).padStart(2, "0")).join("");
+
+// Unlocked secrets stay available for the rest of the visit
+const unlocked = new Map();
+
+export const getUnlocked = id => unlocked.get(id) || null;
+
+/**
+ * Check a passphrase against the vault's hash and decrypt it.
+ * Resolves with the secrets ({ spans, gallery }), or null for a wrong passphrase.
+ */
+export const unlockVault = async (id, { salt, iv, check, data }, passphrase) => {
+  const material = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveBits"]);
+  const bits = new Uint8Array(
+    await crypto.subtle.deriveBits({ name: "PBKDF2", salt: fromBase64(salt), iterations: ITERATIONS, hash: "SHA-256" }, material, 512)
+  );
+
+  if (toHex(bits.slice(32)) !== check) return null;
+
+  const key = await crypto.subtle.importKey("raw", bits.slice(0, 32), "AES-GCM", false, ["decrypt"]);
+  const plain = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(iv) }, key, fromBase64(data));
+  const secrets = JSON.parse(new TextDecoder().decode(plain));
+
+  unlocked.set(id, secrets);
+  return secrets;
+};
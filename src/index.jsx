@@ -6,7 +6,8 @@ import "./Style/main.css";
 
 const root = createRoot(document.getElementById("root"));
 root.render(
-  <Router>
+  // Navigations keep the current page up while the next chunk loads
+  <Router future={{ v7_startTransition: true }}>
     <App />
   </Router>
 );
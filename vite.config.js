@@ -1,6 +1,8 @@
 import { resolve } from "path";
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import projects from "./plugins/projects.js";
+import prerender from "./plugins/prerender.js";
 
 // This is required for Vite to work correctly with CodeSandbox
 const server = process.env.APP_ENV === "sandbox" ? { hmr: { clientPort: 443 } } : {};
@@ -13,7 +15,7 @@ export default defineConfig({
       "@src": resolve(__dirname, "./src"),
     },
   },
-  plugins: [react()],
+  plugins: [react(), projects(), prerender()],
   css: {
     preprocessorOptions: {
       scss: {